@@ -30,11 +30,12 @@ let targetCircle = null;
 
 // Tone.js setup
 let drawSynth, victorySynth, clickSynth;
-let isSoundEnabled = true;
+let isSoundEnabled = SiteChrome.isSoundEnabled(); // Site-wide preference, see ../site-chrome.js
 
 const accuracyColorScale = ['#FF0000', '#FFFF00', '#00FF00']; // Red (bad), Yellow (okay), Green (good)
 
-// High score now resets with each page refresh (not persistent)
+// High score is kept per player profile (see ../profiles.js)
+const SAVE_KEY = 'circle.save';
 let highScore = 0;
 
 const nebulaParticles = [];
@@ -536,15 +537,16 @@ function createParticleEffect(originX, originY, count = 30, color = '#FFFFFF') {
 
 // --- High Score Management ---
 /**
- * Loads the high score. Now resets on page refresh.
+ * Loads the active profile's high score.
  */
 function loadHighScore() {
-    highScore = 0; // High score always starts at 0 on refresh
+    const save = Profiles.getJSON(SAVE_KEY, {});
+    highScore = save.highScore || 0;
     highScoreDisplay.textContent = `High Score: ${highScore}%`;
 }
 
 /**
- * Saves the current high score (in memory only).
+ * Saves the current high score to the active profile.
  * @param {number} score - The score to potentially save as high score.
  * @returns {boolean} True if a new high score was set, false otherwise.
  */
@@ -553,6 +555,7 @@ function saveHighScore(score) {
     if (score > highScore) {
         highScore = score;
         newRecord = true;
+        Profiles.setJSON(SAVE_KEY, { highScore });
     }
     highScoreDisplay.textContent = `High Score: ${highScore}%`;
     return newRecord;
@@ -560,10 +563,18 @@ function saveHighScore(score) {
 
 // --- Audio Toggle Functionality ---
 /**
- * Toggles the background sound on and off.
+ * Toggles the background sound on and off, for every game on the site.
  */
 function toggleSound() {
-    isSoundEnabled = !isSoundEnabled;
+    SiteChrome.setSoundEnabled(!isSoundEnabled);
+}
+
+/**
+ * Follows the site-wide sound preference, whether it was changed here or in the shared chrome.
+ * @param {{sound: boolean}} preferences - The current preferences from SiteChrome.
+ */
+function applySoundPreference({ sound }) {
+    isSoundEnabled = sound;
     if (isSoundEnabled) {
         audioToggleIcon.classList.remove('fa-volume-mute');
         audioToggleIcon.classList.add('fa-volume-up');
@@ -941,6 +952,7 @@ startButton.addEventListener('click', () => {
 });
 
 audioToggleButton.addEventListener('click', toggleSound);
+SiteChrome.onChange(applySoundPreference);
 shareButton.addEventListener('click', shareGame);
 
 // Pointer events on drawingCanvas are always active for drawing
@@ -964,7 +976,7 @@ document.addEventListener('DOMContentLoaded', () => {
     highScoreDisplay.classList.remove('hidden'); // Show high score initially
 
     showMessage('Ready to draw a perfect circle!');
-    loadHighScore(); // Load high score, which now resets on refresh
+    loadHighScore(); // Load the active profile's high score
 
     // Ensure sound toggle button is visually correct on load
     if (isSoundEnabled) {
@@ -0,0 +1,225 @@
+// --- BigNum: arbitrary-magnitude numbers for the Clicker economy ---
+// Stored as mantissa * 10^exponent with 1 <= |mantissa| < 10, so values far past
+// Number.MAX_VALUE stay usable. Precision is that of a double (~15 significant digits).
+// Values up to Number.MAX_SAFE_INTEGER also keep their plain number, and arithmetic between
+// such values uses it, so whole amounts (credits, prices) stay exact.
+// Instances are immutable: every operation returns a new BigNum.
+class BigNum {
+    constructor(mantissa = 0, exponent = 0) {
+        if (!Number.isFinite(mantissa) || !Number.isFinite(exponent)) {
+            throw new RangeError(`Invalid BigNum: ${mantissa}e${exponent}`);
+        }
+        const value = exponent === 0 ? mantissa : mantissa * Math.pow(10, exponent);
+        this.plain = Math.abs(value) <= Number.MAX_SAFE_INTEGER ? value : null;
+        if (mantissa === 0) {
+            this.mantissa = 0;
+            this.exponent = 0;
+            return;
+        }
+        const shift = Math.floor(Math.log10(Math.abs(mantissa)));
+        let m = mantissa / Math.pow(10, shift);
+        let e = exponent + shift;
+        // Correct for floating point error in log10 near powers of ten
+        if (Math.abs(m) >= 10) { m /= 10; e++; }
+        if (Math.abs(m) < 1) { m *= 10; e--; }
+        this.mantissa = m;
+        this.exponent = e;
+    }
+
+    // Accepts a BigNum, a number, or a string such as "1500" or "1.5e400"
+    static from(value) {
+        if (value instanceof BigNum) return value;
+        if (value === null || value === undefined || value === '') return BigNum.ZERO;
+        if (typeof value === 'number') return new BigNum(value, 0);
+        const match = /^\s*(-?\d*\.?\d+)e([+-]?\d+)\s*$/i.exec(String(value));
+        if (match) {
+            // Parsed as a whole so "1.16e2" is exactly 116, not 1.16 * 10^2
+            const number = Number(match[0]);
+            if (Math.abs(number) <= Number.MAX_SAFE_INTEGER) return new BigNum(number, 0);
+            return new BigNum(parseFloat(match[1]), parseInt(match[2]));
+        }
+        const parsed = parseFloat(value);
+        if (Number.isNaN(parsed)) throw new RangeError(`Invalid BigNum: ${value}`);
+        return new BigNum(parsed, 0);
+    }
+
+    static max(a, b) {
+        a = BigNum.from(a);
+        b = BigNum.from(b);
+        return a.gte(b) ? a : b;
+    }
+
+    static min(a, b) {
+        a = BigNum.from(a);
+        b = BigNum.from(b);
+        return a.lte(b) ? a : b;
+    }
+
+    isZero() {
+        return this.mantissa === 0;
+    }
+
+    negate() {
+        if (this.plain !== null) return new BigNum(-this.plain, 0);
+        return new BigNum(-this.mantissa, this.exponent);
+    }
+
+    // A plain-number result if both operands and the result are small enough to stay exact
+    plainResult(other, operate) {
+        if (this.plain === null || other.plain === null) return null;
+        const result = operate(this.plain, other.plain);
+        return Math.abs(result) <= Number.MAX_SAFE_INTEGER ? new BigNum(result, 0) : null;
+    }
+
+    add(other) {
+        other = BigNum.from(other);
+        if (this.isZero()) return other;
+        if (other.isZero()) return this;
+        const plain = this.plainResult(other, (a, b) => a + b);
+        if (plain) return plain;
+        const diff = this.exponent - other.exponent;
+        // The smaller operand is below the precision of the larger one
+        if (diff > 17) return this;
+        if (diff < -17) return other;
+        return diff >= 0
+            ? new BigNum(this.mantissa + other.mantissa / Math.pow(10, diff), this.exponent)
+            : new BigNum(this.mantissa / Math.pow(10, -diff) + other.mantissa, other.exponent);
+    }
+
+    sub(other) {
+        return this.add(BigNum.from(other).negate());
+    }
+
+    mul(other) {
+        other = BigNum.from(other);
+        const plain = this.plainResult(other, (a, b) => a * b);
+        if (plain) return plain;
+        return new BigNum(this.mantissa * other.mantissa, this.exponent + other.exponent);
+    }
+
+    div(other) {
+        other = BigNum.from(other);
+        if (other.isZero()) throw new RangeError('BigNum division by zero');
+        const plain = this.plainResult(other, (a, b) => a / b);
+        if (plain) return plain;
+        return new BigNum(this.mantissa / other.mantissa, this.exponent - other.exponent);
+    }
+
+    // Raise a positive BigNum to a plain number power (used for cost curves)
+    pow(power) {
+        if (this.isZero()) return power === 0 ? new BigNum(1) : this;
+        if (this.plain !== null) {
+            const result = Math.pow(this.plain, power);
+            if (Math.abs(result) <= Number.MAX_SAFE_INTEGER) return new BigNum(result, 0);
+        }
+        const log = power * (Math.log10(this.mantissa) + this.exponent);
+        const exponent = Math.floor(log);
+        return new BigNum(Math.pow(10, log - exponent), exponent);
+    }
+
+    sqrt() {
+        if (this.exponent % 2 === 0) {
+            return new BigNum(Math.sqrt(this.mantissa), this.exponent / 2);
+        }
+        return new BigNum(Math.sqrt(this.mantissa * 10), (this.exponent - 1) / 2);
+    }
+
+    floor() {
+        if (this.exponent >= 15) return this; // No fractional digits survive at this magnitude
+        return new BigNum(Math.floor(this.toNumber()));
+    }
+
+    ceil() {
+        if (this.exponent >= 15) return this;
+        return new BigNum(Math.ceil(this.toNumber()));
+    }
+
+    // -1, 0 or 1, like a sort comparator
+    cmp(other) {
+        other = BigNum.from(other);
+        const sign = Math.sign(this.mantissa);
+        const otherSign = Math.sign(other.mantissa);
+        if (sign !== otherSign) return sign > otherSign ? 1 : -1;
+        if (sign === 0) return 0;
+        if (this.plain !== null && other.plain !== null) {
+            return this.plain === other.plain ? 0 : (this.plain > other.plain ? 1 : -1);
+        }
+        if (this.exponent !== other.exponent) {
+            return (this.exponent > other.exponent ? 1 : -1) * sign;
+        }
+        if (this.mantissa === other.mantissa) return 0;
+        return this.mantissa > other.mantissa ? 1 : -1;
+    }
+
+    gt(other) { return this.cmp(other) > 0; }
+    gte(other) { return this.cmp(other) >= 0; }
+    lt(other) { return this.cmp(other) < 0; }
+    lte(other) { return this.cmp(other) <= 0; }
+    eq(other) { return this.cmp(other) === 0; }
+
+    // Infinity once the value no longer fits in a double
+    toNumber() {
+        if (this.plain !== null) return this.plain;
+        return this.mantissa * Math.pow(10, this.exponent);
+    }
+
+    toString() {
+        if (this.exponent < 21 && this.exponent > -7) return String(this.toNumber());
+        return `${this.mantissa}e${this.exponent}`;
+    }
+
+    // Saves store BigNums as strings: plain numbers below MAX_SAFE_INTEGER, "<mantissa>e<exponent>" above
+    toJSON() {
+        if (this.plain !== null) return String(this.plain);
+        return `${this.mantissa}e${this.exponent}`;
+    }
+
+    // Display styles: 'short' (1.2M, 3.4B), 'scientific' (1.23e45) or 'full' (1,234,567)
+    format(style = 'short') {
+        const value = this.floor();
+        if (value.exponent < 3) return String(value.toNumber());
+        switch (style) {
+            case 'scientific':
+                return value.toScientific();
+            case 'full':
+                return value.toGroupedDigits();
+            default:
+                return value.toShortSuffix();
+        }
+    }
+
+    toScientific(digits = 2) {
+        const factor = Math.pow(10, digits);
+        let mantissa = Math.round(this.mantissa * factor) / factor;
+        let exponent = this.exponent;
+        if (Math.abs(mantissa) >= 10) { mantissa /= 10; exponent++; } // 9.999 rounds up to 10.00
+        return `${mantissa.toFixed(digits)}e${exponent}`;
+    }
+
+    toShortSuffix() {
+        let tier = Math.floor(this.exponent / 3);
+        let scaled = Math.round(this.mantissa * Math.pow(10, this.exponent - tier * 3) * 10) / 10;
+        if (Math.abs(scaled) >= 1000) { scaled /= 1000; tier++; } // 999.96K rounds up to 1.0M
+        if (tier >= BigNum.SUFFIXES.length) return this.toScientific();
+        return `${scaled.toFixed(Math.abs(scaled) < 100 ? 1 : 0)}${BigNum.SUFFIXES[tier]}`;
+    }
+
+    toGroupedDigits() {
+        let digits;
+        if (this.exponent < 21) {
+            digits = String(Math.abs(Math.floor(this.toNumber())));
+        } else {
+            // Significant digits of the mantissa padded out with zeros
+            const significant = Math.abs(this.mantissa).toPrecision(15).replace('.', '').replace(/0+$/, '');
+            digits = significant.padEnd(this.exponent + 1, '0');
+        }
+        const grouped = digits.replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+        return this.mantissa < 0 ? `-${grouped}` : grouped;
+    }
+}
+
+BigNum.ZERO = new BigNum(0);
+BigNum.SUFFIXES = ['', 'K', 'M', 'B', 'T', 'Qa', 'Qi', 'Sx', 'Sp', 'Oc', 'No', 'Dc'];
+
+// Loaded as a classic script by clicker.html; tests import this file and read it from globalThis
+globalThis.BigNum = BigNum;
@@ -0,0 +1,63 @@
+import assert from 'node:assert/strict';
+import './bignum.js';
+
+const { BigNum } = globalThis;
+
+// Same formula as getAdvantageCost in script.js for an 'exponential' cost curve
+function exponentialCost(cost, rate, level) {
+    return BigNum.from(cost).mul(new BigNum(rate).pow(level)).ceil();
+}
+
+Deno.test('repeated single additions stay whole', () => {
+    let value = BigNum.ZERO;
+    for (let i = 1; i <= 200000; i++) {
+        value = value.add(1);
+        if (value.toNumber() !== i) assert.fail(`expected ${i}, got ${value.toNumber()}`);
+    }
+    assert.equal(value.format('full'), '200,000');
+});
+
+Deno.test('adding 1 forty-nine times formats as 49', () => {
+    let value = BigNum.ZERO;
+    for (let i = 0; i < 49; i++) value = value.add(1);
+    assert.equal(value.toNumber(), 49);
+    assert.equal(value.format(), '49');
+});
+
+Deno.test('exactly enough credits cover a cost', () => {
+    let credits = BigNum.ZERO;
+    for (let i = 0; i < 116; i++) credits = credits.add(1);
+    const cost = exponentialCost(50, 1.15, 6);
+    assert.ok(credits.gte(cost));
+    assert.ok(credits.sub(cost).isZero());
+});
+
+Deno.test('ceil keeps exponential costs whole', () => {
+    const cases = [
+        [50, 1.15, 6, 116], // autoClicker
+        [50, 1.15, 10, 203],
+        [100, 1.25, 4, 245], // superBoost
+        [100, 1.25, 7, 477],
+        [20, 3, 2, 180], // doubleClick: an exact power must not round up
+        [800, 2, 4, 12800]
+    ];
+    for (const [cost, rate, level, expected] of cases) {
+        const price = exponentialCost(cost, rate, level);
+        assert.equal(price.toNumber(), expected, `${cost} * ${rate}^${level}`);
+        assert.equal(price.format('full'), expected.toLocaleString('en-US'));
+    }
+});
+
+Deno.test('whole values survive a save round trip', () => {
+    const saved = JSON.parse(JSON.stringify({ credits: BigNum.from(116) }));
+    assert.equal(BigNum.from(saved.credits).toNumber(), 116);
+    assert.equal(BigNum.from('1.16e2').toNumber(), 116);
+});
+
+Deno.test('values past Number.MAX_VALUE still work', () => {
+    const huge = BigNum.from('1.5e400');
+    assert.equal(huge.add(1).format('scientific'), '1.50e400');
+    assert.equal(huge.mul(2).format('scientific'), '3.00e400');
+    assert.ok(huge.gt(Number.MAX_SAFE_INTEGER));
+    assert.equal(BigNum.from(JSON.parse(JSON.stringify(huge))).cmp(huge), 0);
+});
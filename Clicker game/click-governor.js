@@ -0,0 +1,101 @@
+// --- ClickGovernor: soft-caps inhuman click patterns in the Clicker ---
+// Every manual click is registered with a timestamp and gets a weight between 0 and 1:
+// the share of a normal click's ideas it should earn. Clicks faster than the rate cap are
+// scaled down so output tops out at `maxClicksPerSecond`, and metronome-steady timing (a
+// script's setInterval) is penalised further. Enough violations flag the run, which a
+// leaderboard can check through `flagged` and `reasons`.
+// Has no DOM dependencies, so it can be exercised headless with synthetic timestamps.
+class ClickGovernor {
+    constructor(options = {}) {
+        this.options = { ...ClickGovernor.DEFAULTS, ...options };
+        this.reset();
+    }
+
+    // Start a fresh run: forget click history and clear the fair-play flag
+    reset() {
+        this.recentClicks = []; // Timestamps inside the rate window
+        this.intervals = []; // Gaps between the last `sampleSize` clicks
+        this.lastClickAt = null;
+        this.violations = {};
+        this.flagged = false;
+        this.reasons = [];
+    }
+
+    // Returns the weight (0–1] of a click made at `now` milliseconds
+    registerClick(now) {
+        const o = this.options;
+        if (this.lastClickAt !== null) {
+            this.intervals.push(now - this.lastClickAt);
+            if (this.intervals.length > o.sampleSize) this.intervals.shift();
+        }
+        this.lastClickAt = now;
+        this.recentClicks.push(now);
+        while (now - this.recentClicks[0] > o.rateWindowMs) this.recentClicks.shift();
+
+        let weight = 1;
+        const rate = this.getClickRate();
+        if (rate > o.maxClicksPerSecond) {
+            weight = o.maxClicksPerSecond / rate;
+            this.recordViolation('high-rate');
+        }
+        if (this.hasConstantIntervals()) {
+            weight *= o.constantIntervalWeight;
+            this.recordViolation('constant-interval');
+        }
+        return weight;
+    }
+
+    // Clicks per second over the rate window
+    getClickRate() {
+        return this.recentClicks.length / (this.options.rateWindowMs / 1000);
+    }
+
+    // True when the recent gaps are too regular for a human hand
+    hasConstantIntervals() {
+        const o = this.options;
+        if (this.intervals.length < o.sampleSize) return false;
+        const mean = this.intervals.reduce((total, interval) => total + interval, 0) / this.intervals.length;
+        if (mean > o.maxPatternIntervalMs) return false; // Slow, steady clicking earns nothing worth capping
+        const variance = this.intervals.reduce((total, interval) => total + (interval - mean) ** 2, 0) / this.intervals.length;
+        return Math.sqrt(variance) < o.minIntervalDeviationMs;
+    }
+
+    recordViolation(reason) {
+        this.violations[reason] = (this.violations[reason] || 0) + 1;
+        if (this.violations[reason] >= this.options.flagAfterViolations && !this.reasons.includes(reason)) {
+            this.flagged = true;
+            this.reasons.push(reason);
+        }
+    }
+
+    // Saves keep only the fair-play marker; click timing starts over each session
+    toJSON() {
+        return { flagged: this.flagged, reasons: this.reasons };
+    }
+
+    restore(saved) {
+        this.reset();
+        if (!saved) return;
+        this.flagged = Boolean(saved.flagged);
+        this.reasons = Array.isArray(saved.reasons) ? saved.reasons.slice() : [];
+    }
+}
+
+ClickGovernor.DEFAULTS = {
+    maxClicksPerSecond: 20, // Above this the click reward is scaled down
+    rateWindowMs: 1000, // How far back the click rate is measured
+    sampleSize: 20, // Intervals compared when looking for constant timing
+    minIntervalDeviationMs: 4, // Human timing wobbles by more than this
+    maxPatternIntervalMs: 500, // Only faster clicking is checked for constant timing
+    constantIntervalWeight: 0.25, // Reward share left for metronome-steady clicks
+    flagAfterViolations: 20 // Violating clicks of one kind before the run is flagged
+};
+
+// Human-readable descriptions of flag reasons
+ClickGovernor.REASON_LABELS = {
+    'high-rate': 'very high click rate',
+    'constant-interval': 'machine-steady click timing'
+};
+
+// Loaded as a classic script by clicker.html; tests import this file and read it from globalThis
+globalThis.ClickGovernor = ClickGovernor;
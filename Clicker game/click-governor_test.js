@@ -0,0 +1,90 @@
+import assert from 'node:assert/strict';
+import './click-governor.js';
+
+const { ClickGovernor } = globalThis;
+
+// Registers a click after each gap (ms) and returns the weights
+function clickWithGaps(governor, gaps, start = 0) {
+    let now = start;
+    return gaps.map(gap => {
+        now += gap;
+        return governor.registerClick(now);
+    });
+}
+
+// Uneven gaps like a human hand, repeated to the requested length
+function humanGaps(count, pattern = [90, 135, 110, 160, 100, 125]) {
+    return Array.from({ length: count }, (_, i) => pattern[i % pattern.length]);
+}
+
+Deno.test('human clicking keeps full weight and is not flagged', () => {
+    const governor = new ClickGovernor();
+    const weights = clickWithGaps(governor, humanGaps(200));
+    assert.ok(weights.every(weight => weight === 1));
+    assert.equal(governor.flagged, false);
+    assert.deepEqual(governor.reasons, []);
+});
+
+Deno.test('constant intervals are detected once the sample is full', () => {
+    const governor = new ClickGovernor();
+    const { sampleSize, constantIntervalWeight } = ClickGovernor.DEFAULTS;
+    const weights = clickWithGaps(governor, Array(sampleSize + 5).fill(100));
+    // The first click has no gap, so the sample fills on click sampleSize + 1
+    assert.ok(weights.slice(0, sampleSize).every(weight => weight === 1));
+    assert.ok(weights.slice(sampleSize).every(weight => weight === constantIntervalWeight));
+    assert.equal(governor.hasConstantIntervals(), true);
+});
+
+Deno.test('slow steady clicking is not treated as a pattern', () => {
+    const governor = new ClickGovernor();
+    const gap = ClickGovernor.DEFAULTS.maxPatternIntervalMs + 100;
+    const weights = clickWithGaps(governor, Array(50).fill(gap));
+    assert.ok(weights.every(weight => weight === 1));
+    assert.equal(governor.hasConstantIntervals(), false);
+});
+
+Deno.test('clicking above the rate cap is soft-capped', () => {
+    const governor = new ClickGovernor();
+    const { maxClicksPerSecond } = ClickGovernor.DEFAULTS;
+    // About 50 clicks per second, unevenly spaced so only the rate check applies
+    const weights = clickWithGaps(governor, humanGaps(200, [10, 30, 14, 26, 20]));
+    const rate = governor.getClickRate();
+    assert.ok(rate > maxClicksPerSecond);
+    assert.equal(weights[weights.length - 1], maxClicksPerSecond / rate);
+    // Over the last second, the weighted output stays near the cap instead of the raw rate
+    const lastSecond = weights.slice(-Math.round(rate));
+    const output = lastSecond.reduce((total, weight) => total + weight, 0);
+    assert.ok(output <= maxClicksPerSecond + 1, `output ${output}`);
+});
+
+Deno.test('repeated violations flag the run with their reasons', () => {
+    const governor = new ClickGovernor({ flagAfterViolations: 5 });
+    clickWithGaps(governor, Array(40).fill(10)); // A metronome-steady burst, 10 ms apart
+    assert.equal(governor.flagged, true);
+    assert.deepEqual([...governor.reasons].sort(), ['constant-interval', 'high-rate']);
+    governor.reasons.forEach(reason => assert.ok(ClickGovernor.REASON_LABELS[reason]));
+});
+
+Deno.test('the fair-play flag survives a save and clears on reset', () => {
+    const governor = new ClickGovernor({ flagAfterViolations: 1 });
+    clickWithGaps(governor, Array(40).fill(5));
+    assert.equal(governor.flagged, true);
+    const saved = JSON.parse(JSON.stringify(governor));
+    assert.deepEqual(Object.keys(saved).sort(), ['flagged', 'reasons']);
+
+    const restored = new ClickGovernor();
+    restored.restore(saved);
+    assert.equal(restored.flagged, true);
+    assert.deepEqual(restored.reasons, governor.reasons);
+
+    restored.reset();
+    assert.equal(restored.flagged, false);
+    assert.deepEqual(restored.reasons, []);
+});
+
+Deno.test('options override the default thresholds', () => {
+    const governor = new ClickGovernor({ maxClicksPerSecond: 5 });
+    const weights = clickWithGaps(governor, humanGaps(30, [90, 130, 110]));
+    assert.ok(weights[weights.length - 1] < 1);
+    assert.equal(governor.options.rateWindowMs, ClickGovernor.DEFAULTS.rateWindowMs);
+});
@@ -4,184 +4,719 @@ document.addEventListener('DOMContentLoaded', () => {
     const clickBtn = document.getElementById('clickBtn');
     const progressBar = document.getElementById('progressBar');
     const messageDisplay = document.getElementById('message');
+    const announcer = document.getElementById('announcer'); // Screen-reader live region, see `announce`
     const toggleDarkBtn = document.getElementById('toggleDark');
+    const reducedMotionBtn = document.getElementById('reducedMotionBtn');
     const restartBtn = document.getElementById('restartBtn');
     const sparkContainer = document.getElementById('sparkContainer');
     const currentFormatTitle = document.getElementById('currentFormatTitle');
     const ideaFormatVisual = document.getElementById('ideaFormatVisual');
+    const formatDisplay = document.querySelector('.current-format-display'); // Carries the active idea-format skin class
     const advantageList = document.getElementById('advantageList');
+    const cosmeticList = document.getElementById('cosmeticList');
+    const cosmeticEmpty = document.getElementById('cosmeticEmpty');
+    const inspirationCountDisplay = document.getElementById('inspirationCount');
+    const prestigeMultiplierDisplay = document.getElementById('prestigeMultiplier');
+    const prestigeGainDisplay = document.getElementById('prestigeGain');
+    const rebirthBtn = document.getElementById('rebirthBtn');
+    const prestigeUpgradeList = document.getElementById('prestigeUpgradeList');
+    const offlineSummary = document.getElementById('offlineSummary');
+    const offlineSummaryText = document.getElementById('offlineSummaryText');
+    const offlineSummaryClose = document.getElementById('offlineSummaryClose');
+    const exportSaveBtn = document.getElementById('exportSaveBtn');
+    const downloadSaveBtn = document.getElementById('downloadSaveBtn');
+    const importSaveBtn = document.getElementById('importSaveBtn');
+    const importFileBtn = document.getElementById('importFileBtn');
+    const importSaveFileInput = document.getElementById('importSaveFile');
+    const saveTextArea = document.getElementById('saveText');
+    const achievementList = document.getElementById('achievementList');
+    const achievementProgress = document.getElementById('achievementProgress');
+    const buffList = document.getElementById('buffList');
+    const statsList = document.getElementById('statsList');
+    const formatTimesList = document.getElementById('formatTimesList');
+    const ipsSparkline = document.getElementById('ipsSparkline');
+    const ipsCurrent = document.getElementById('ipsCurrent');
+    const numberFormatSelect = document.getElementById('numberFormatSelect');
+    const volumeSliders = document.querySelectorAll('.volume-slider'); // One per audio channel, see `audioSettings`
+    const muteBtn = document.getElementById('muteBtn');
+    const jukeboxList = document.getElementById('jukeboxList');
+    const jukeboxEmpty = document.getElementById('jukeboxEmpty');
+    const musicToggleBtn = document.getElementById('musicToggleBtn');
 
     // --- Game State Variables ---
-    let ideaCount = 0;
-    let credits = 0;
-    let ideasPerClick = 1; // Base IPC
+    // Economy amounts are BigNums (see bignum.js) so they can grow past Number.MAX_VALUE
+    let ideaCount = BigNum.ZERO;
+    let credits = BigNum.ZERO;
+    // Derived from owned advantages by `recalculateStats`; never set these directly
+    let ideasPerClick = new BigNum(1);
     let creditThreshold = 5; // Ideas needed to earn 1 credit
-    let ideasSinceLastCredit = 0;
+    let autoIdeasPerSecond = 0;
+    let ideasSinceLastCredit = BigNum.ZERO;
     let currentFormatIndex = 0;
     let autoClickerInterval = null; // To store the interval ID for the auto-clicker
+    let runStartedAt = Date.now(); // Start of the current run (reset on rebirth)
+    let clickGovernor = new ClickGovernor(); // Soft-caps autoclickers and carries the run's fair-play flag
 
-    // --- Sound Effects ---
-    const sounds = {
-        click: new Audio('sounds/click.mp3'),
-        purchase: new Audio('sounds/purchase.mp3'),
-        error: new Audio('sounds/error.mp3'),
-        success: new Audio('sounds/success.mp3'),
-        song1: new Audio('sounds/song1.mp3'), // Example ambient song
-        song2: new Audio('sounds/song2.mp3')  // Another example ambient song
+    // --- Lifetime Stats (survive rebirths) ---
+    let totalClicks = 0;
+    let creditsSpent = BigNum.ZERO;
+    let creditsEarned = BigNum.ZERO;
+    let lifetimeIdeas = BigNum.ZERO;
+    let manualIdeas = BigNum.ZERO; // Ideas from clicking
+    let autoIdeas = BigNum.ZERO; // Ideas from the auto-clicker, including offline progress
+    let secondsPlayed = 0;
+    let formatTimes = {}; // Format name -> ms into the current run it was reached
+    let bestFormatTimes = {}; // Format name -> fastest ms across all runs
+    const IPS_HISTORY_SECONDS = 60; // Sparkline window
+    const ideasPerSecondHistory = []; // Ideas earned in each of the last IPS_HISTORY_SECONDS seconds
+    let ideasThisSecond = BigNum.ZERO;
+
+    // --- Settings ---
+    let numberFormat = 'short'; // 'short', 'scientific' or 'full', see BigNum#format
+    let reducedMotion = false; // Turns off sparks, flashes and drifting golden ideas
+
+    // --- Prestige State (survives rebirths) ---
+    let inspiration = 0; // Unspent prestige currency
+    let totalInspiration = 0; // Lifetime inspiration earned, drives the permanent multiplier
+    let rebirthCount = 0;
+    const PRESTIGE_DIVISOR = 1500; // Inspiration gained = floor(sqrt(ideas / divisor))
+    const INSPIRATION_BONUS = 0.1; // +10% ideas per click and auto-ideas per inspiration earned
+
+    // --- Golden Ideas ---
+    const GOLDEN_MIN_DELAY = 60 * 1000; // Shortest wait between golden ideas
+    const GOLDEN_MAX_DELAY = 180 * 1000; // Longest wait between golden ideas
+    const GOLDEN_LIFETIME = 12 * 1000; // How long a golden idea drifts before fading away
+    let activeBuffs = []; // { id, name, effect, endsAt, timeoutId }
+    let buffCountdownInterval = null;
+
+    // --- Cosmetics ---
+    const PREVIEW_SECONDS = 5;
+    let loadout = []; // Ids of the owned cosmetics that are switched on
+    let previewTimeout = null;
+
+    // --- Offline Progress ---
+    const OFFLINE_CAP_SECONDS = 8 * 60 * 60; // Auto-ideas stop accruing after 8 hours away
+    const OFFLINE_MIN_SECONDS = 10; // Ignore quick reloads
+
+    // --- Sound Effects & Music ---
+    // `volume` is each sound's mix level; the player's audio settings scale it per channel
+    const soundDefinitions = {
+        click: { src: 'sounds/click.mp3', volume: 0.5, channel: 'sfx' },
+        purchase: { src: 'sounds/purchase.mp3', volume: 0.7, channel: 'sfx' },
+        error: { src: 'sounds/error.mp3', volume: 0.7, channel: 'sfx' },
+        success: { src: 'sounds/success.mp3', volume: 0.7, channel: 'sfx' },
+        song1: { src: 'sounds/song1.mp3', volume: 0.3, channel: 'music' }, // Example ambient song
+        song2: { src: 'sounds/song2.mp3', volume: 0.3, channel: 'music' }  // Another example ambient song
     };
+    const DEFAULT_AUDIO_SETTINGS = { master: 1, sfx: 1, music: 1, muted: false };
+    let audioSettings = { ...DEFAULT_AUDIO_SETTINGS };
 
-    // Set volumes and loop for songs
-    if (sounds.click) sounds.click.volume = 0.5;
-    if (sounds.purchase) sounds.purchase.volume = 0.7;
-    if (sounds.error) sounds.error.volume = 0.7;
-    if (sounds.success) sounds.success.volume = 0.7;
-    if (sounds.song1) { sounds.song1.volume = 0.3; sounds.song1.loop = true; }
-    if (sounds.song2) { sounds.song2.volume = 0.3; sounds.song2.loop = true; }
+    // Sounds whose file is missing or can't be decoded; they are skipped instead of failing on every play
+    const unavailableSounds = new Set();
+    const sounds = {};
+    Object.entries(soundDefinitions).forEach(([soundName, definition]) => {
+        const audio = new Audio(definition.src);
+        audio.loop = definition.channel === 'music';
+        audio.addEventListener('error', () => markSoundUnavailable(soundName));
+        sounds[soundName] = audio;
+    });
 
-    let currentSong = null; // To keep track of the currently playing song audio object
+    let currentSong = null; // Name of the selected song, kept while the music is paused
+    let musicPaused = false;
 
-    function playSound(soundName) {
-        if (sounds[soundName]) {
-            sounds[soundName].currentTime = 0; // Rewind to start for quick plays
-            sounds[soundName].play().catch(e => console.warn(`Sound playback failed for ${soundName}:`, e));
+    function markSoundUnavailable(soundName) {
+        if (unavailableSounds.has(soundName)) return;
+        unavailableSounds.add(soundName);
+        if (soundName === currentSong) {
+            currentSong = null;
         }
+        renderJukebox();
+    }
+
+    // The in-game Mute and the site-wide sound preference (../site-chrome.js) both silence everything
+    function isMuted() {
+        return audioSettings.muted || !SiteChrome.isSoundEnabled();
+    }
+
+    function applyAudioSettings() {
+        Object.entries(sounds).forEach(([soundName, audio]) => {
+            const definition = soundDefinitions[soundName];
+            audio.volume = definition.volume * audioSettings.master * audioSettings[definition.channel];
+            audio.muted = isMuted();
+        });
+    }
+
+    function playSound(soundName) {
+        if (!sounds[soundName] || unavailableSounds.has(soundName) || isMuted()) return;
+        sounds[soundName].currentTime = 0; // Rewind to start for quick plays
+        sounds[soundName].play().catch(err => {
+            if (err.name === 'NotSupportedError') markSoundUnavailable(soundName);
+            // Anything else is autoplay blocking, which the next click will get past
+        });
     }
 
     function playSong(songName) {
-        if (currentSong) {
-            currentSong.pause();
-            currentSong.currentTime = 0;
-        }
-        if (sounds[songName]) {
-            currentSong = sounds[songName];
-            currentSong.play().catch(e => console.warn(`Song playback failed for ${songName}:`, e));
+        stopCurrentSong();
+        if (!sounds[songName] || unavailableSounds.has(songName)) return;
+        currentSong = songName;
+        resumeMusic();
+    }
+
+    function resumeMusic() {
+        if (!currentSong) return;
+        musicPaused = false;
+        renderJukebox();
+        sounds[currentSong].play().catch(err => {
+            if (err.name === 'NotAllowedError') {
+                // Browsers block audio until the player interacts with the page (e.g. a song restored on load)
+                document.addEventListener('pointerdown', resumeBlockedMusic, { once: true });
+                document.addEventListener('keydown', resumeBlockedMusic, { once: true });
+            } else if (currentSong) {
+                markSoundUnavailable(currentSong);
+            }
+        });
+    }
+
+    function resumeBlockedMusic() {
+        if (currentSong && !musicPaused && sounds[currentSong].paused) {
+            resumeMusic();
         }
     }
 
+    function pauseMusic() {
+        if (!currentSong) return;
+        sounds[currentSong].pause();
+        musicPaused = true;
+        renderJukebox();
+    }
+
     function stopCurrentSong() {
         if (currentSong) {
-            currentSong.pause();
-            currentSong.currentTime = 0;
+            sounds[currentSong].pause();
+            sounds[currentSong].currentTime = 0;
             currentSong = null;
         }
+        musicPaused = false;
+        renderJukebox();
     }
 
-    // --- Progression for Idea Formats ---
-    const ideaFormats = [
-        { name: "Basic Concept", threshold: 0, cssClass: "format-basic", message: "Starting with a spark!" },
-        { name: "Raw Data", threshold: 20, cssClass: "format-concept", message: "Raw data is accumulating!" },
-        { name: "Blueprint Draft", threshold: 50, cssClass: "format-blueprint", message: "Drafting a blueprint for success!" },
-        { name: "Working Prototype", threshold: 150, cssClass: "format-prototype", message: "A prototype is forming!" },
-        { name: "Feedback Loop", threshold: 300, cssClass: "format-feedback", message: "Refining ideas with feedback!" },
-        { name: "Viable Solution", threshold: 750, cssClass: "format-solution", message: "You've found a viable solution!" },
-        { name: "Breakthrough Discovery", threshold: 1500, cssClass: "format-breakthrough", message: "A groundbreaking discovery!" },
-        { name: "Innovation Engine", threshold: 3000, cssClass: "format-innovation", message: "The innovation engine is roaring!" },
-        { name: "Timeless Masterpiece", threshold: 6000, cssClass: "format-masterpiece", message: "A timeless masterpiece created!" }
+    // --- Game Content ---
+    // Idea formats, advantages, prestige upgrades, achievements and golden events are
+    // loaded from content/<name>.json (pick a variant with ?content=<name>), so themed
+    // versions of the game need no script changes. `validateContent` documents the schema.
+    const DEFAULT_CONTENT = 'default';
+    let contentName = DEFAULT_CONTENT;
+    let ideaFormats = [];
+    // Advantage `cost` is the price of the first level. Repeatable advantages raise it per level
+    // along `costCurve` (exponential: cost * rate^level, linear: cost + step * level)
+    // up to `maxLevel`; effects stack once per level owned.
+    let advantages = [];
+    let prestigeUpgrades = []; // Bought with inspiration, kept across rebirths
+    // `condition.type` is looked up in `achievementConditions`; an optional `reward`
+    // adds a permanent bonus of `reward.value` (0.05 = +5%) to ideas per click
+    // ('ipc-bonus') or auto-idea output ('auto-bonus').
+    let achievements = [];
+    // Golden idea buff effects are kept out of `ideasPerClick` and applied as multipliers,
+    // so expiry removes exactly the buff no matter what was bought meanwhile.
+    let goldenEvents = [];
+
+    // Effect types the game loop understands, per content section
+    const ADVANTAGE_EFFECT_TYPES = [
+        'ipc-multiplier', 'ipc-add', 'credit-threshold-reduce', 'auto-ideas',
+        'play-song', 'add-visual-class', 'remove-visual-class', 'format-skin',
+        'ipc-per-format', 'auto-per-level'
     ];
+    // Cosmetic advantages can be switched on and off from the inventory once owned. Only one
+    // cosmetic per `slot` is active at a time; the slot defaults to the effect type.
+    const COSMETIC_EFFECT_TYPES = ['add-visual-class', 'format-skin'];
+    const PRESTIGE_EFFECT_TYPES = ['starting-credits', 'prestige-ipc-multiplier', 'prestige-auto-multiplier', 'keep-advantage'];
+    const ACHIEVEMENT_REWARD_TYPES = ['ipc-bonus', 'auto-bonus'];
+    // 'credit-windfall' grants credits worth `value` clicks; the buff types need a `duration` in seconds
+    const GOLDEN_EFFECT_TYPES = ['buff-ipc-multiplier', 'buff-auto-multiplier', 'credit-windfall'];
+    const COST_CURVE_TYPES = ['flat', 'exponential', 'linear'];
 
-    // --- Shop Advantages ---
-    const advantages = [
-        {
-            id: 'autoClicker',
-            name: 'Auto-Idea Generator',
-            description: 'Automatically generates 1 idea per second.',
-            cost: 50,
-            effect: { type: 'auto-ideas', value: 1 },
-            bought: false,
-            element: null
-        },
-        {
-            id: 'doubleClick',
-            name: 'Double Click Power',
-            description: 'Doubles your ideas per click.',
-            cost: 20,
-            effect: { type: 'ipc-multiplier', value: 2 },
-            bought: false,
-            element: null
-        },
-        {
-            id: 'creditBoost',
-            name: 'Credit Efficiency',
-            description: 'Reduces ideas needed for 1 credit by 1.',
-            cost: 30,
-            effect: { type: 'credit-threshold-reduce', value: 1 },
-            bought: false,
-            element: null
-        },
-        {
-            id: 'superBoost',
-            name: 'Super Brainstorm',
-            description: 'Increases ideas per click by 5.',
-            cost: 100,
-            effect: { type: 'ipc-add', value: 5 },
-            bought: false,
-            element: null
-        },
-        {
-            id: 'ambientSong1',
-            name: 'Calm Research Music',
-            description: 'Adds a relaxing background track to your idea sessions.',
-            cost: 75,
-            effect: { type: 'play-song', value: 'song1' },
-            bought: false,
-            element: null
-        },
-        {
-            id: 'ambientSong2',
-            name: 'Energetic Innovation Beat',
-            description: 'Picks up the pace with an inspiring background rhythm.',
-            cost: 120,
-            effect: { type: 'play-song', value: 'song2' },
-            bought: false,
-            element: null
-        },
-        {
-            id: 'visualDots',
-            name: 'Dot Matrix Display',
-            description: 'Adds a subtle dot matrix pattern to the background.',
-            cost: 40,
-            effect: { type: 'add-visual-class', value: 'pattern-dots' },
-            bought: false,
-            element: null
-        },
-        {
-            id: 'visualGrid',
-            name: 'Structural Grid Overlay',
-            description: 'Applies a structured grid pattern, aiding organization.',
-            cost: 60,
-            effect: { type: 'add-visual-class', value: 'pattern-grid' },
-            bought: false,
-            element: null
+    function getFormatIndex(formatName) {
+        return ideaFormats.findIndex(format => format.name === formatName);
+    }
+
+    const achievementConditions = {
+        'total-clicks': condition => totalClicks >= condition.value,
+        'credits-spent': condition => creditsSpent.gte(condition.value),
+        'all-advantages-owned': () => advantages.every(adv => adv.level > 0),
+        'format-reached': condition => currentFormatIndex >= getFormatIndex(condition.format),
+        'format-within': condition => currentFormatIndex >= getFormatIndex(condition.format) &&
+            Date.now() - runStartedAt <= condition.minutes * 60 * 1000,
+        'rebirths': condition => rebirthCount >= condition.value
+    };
+
+    // --- Content Loading & Validation ---
+    function getContentName() {
+        const requested = new URLSearchParams(location.search).get('content');
+        return requested && /^[\w-]+$/.test(requested) ? requested : DEFAULT_CONTENT;
+    }
+
+    async function loadContent(name) {
+        const path = `content/${name}.json`;
+        let response;
+        try {
+            response = await fetch(path);
+        } catch (err) {
+            // Browsers refuse fetch() on file:// pages
+            throw new Error(`Could not load ${path} (${err.message}). Open the game through a web server.`);
         }
-    ];
+        if (!response.ok) {
+            throw new Error(`Could not load ${path} (HTTP ${response.status}).`);
+        }
+        let content;
+        try {
+            content = await response.json();
+        } catch (err) {
+            throw new Error(`${path} is not valid JSON: ${err.message}`);
+        }
+        const errors = validateContent(content);
+        if (errors.length > 0) {
+            throw new Error(`Invalid ${path}:\n- ${errors.join('\n- ')}`);
+        }
+        return content;
+    }
+
+    // Amounts in content and saves may be numbers or BigNum strings such as "1e30"
+    function isAmount(value) {
+        if (typeof value !== 'number' && typeof value !== 'string') return false;
+        try {
+            BigNum.from(value);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    // Returns a list of human-readable problems; an empty list means the content is usable
+    function validateContent(content) {
+        if (!content || typeof content !== 'object' || Array.isArray(content)) {
+            return ['Content must be a JSON object.'];
+        }
+        const errors = [];
+        const check = (condition, message) => {
+            if (!condition) errors.push(message);
+        };
+        const isText = value => typeof value === 'string' && value.trim() !== '';
+        const isPositive = value => typeof value === 'number' && value > 0;
+
+        // What `value` must be for each effect, reward and condition type that uses one
+        const positiveNumber = [isPositive, 'a positive number'];
+        const positiveAmount = [value => isAmount(value) && BigNum.from(value).gt(0), 'a positive number'];
+        const className = [value => typeof value === 'string' && /^[\w-]+$/.test(value), 'a CSS class name'];
+        const valueRules = {
+            'ipc-add': positiveNumber,
+            'ipc-multiplier': positiveNumber,
+            'credit-threshold-reduce': positiveNumber,
+            'auto-ideas': positiveNumber,
+            'ipc-per-format': positiveNumber,
+            'auto-per-level': positiveNumber,
+            'add-visual-class': className,
+            'remove-visual-class': className,
+            'format-skin': className,
+            'starting-credits': positiveAmount,
+            'prestige-ipc-multiplier': positiveNumber,
+            'prestige-auto-multiplier': positiveNumber,
+            'ipc-bonus': positiveNumber,
+            'auto-bonus': positiveNumber,
+            'total-clicks': positiveNumber,
+            'credits-spent': positiveAmount,
+            'rebirths': positiveNumber,
+            'buff-ipc-multiplier': positiveNumber,
+            'buff-auto-multiplier': positiveNumber,
+            'credit-windfall': positiveNumber
+        };
+
+        // Check `entry[field].value` against the rule for its type; call after checkType passed
+        function checkValue(entry, field, label) {
+            const rule = valueRules[entry[field].type];
+            if (rule) {
+                const [isValid, expected] = rule;
+                check(isValid(entry[field].value), `${label}: "${field}.value" must be ${expected}.`);
+            }
+        }
+
+        // Run `checkEntry` on every entry of a section, labelling errors like `advantages[2] ("creditBoost")`
+        function checkList(sectionName, required, checkEntry) {
+            const list = content[sectionName];
+            if (list === undefined && !required) return;
+            if (!Array.isArray(list) || (required && list.length === 0)) {
+                errors.push(`"${sectionName}" must be ${required ? 'a non-empty' : 'an'} array.`);
+                return;
+            }
+            const seenIds = new Set();
+            list.forEach((entry, index) => {
+                let label = `${sectionName}[${index}]`;
+                if (!entry || typeof entry !== 'object') {
+                    errors.push(`${label} must be an object.`);
+                    return;
+                }
+                if (entry.id || entry.name) label += ` ("${entry.id || entry.name}")`;
+                if (entry.id !== undefined) {
+                    check(!seenIds.has(entry.id), `${label}: duplicate id "${entry.id}".`);
+                    seenIds.add(entry.id);
+                }
+                checkEntry(entry, label, index, list);
+            });
+        }
+
+        // Check that `entry[field].type` is one of `allowedTypes`
+        function checkType(entry, field, allowedTypes, label) {
+            const typed = entry[field];
+            if (!typed || typeof typed !== 'object') {
+                errors.push(`${label}: missing "${field}" object.`);
+                return false;
+            }
+            if (!allowedTypes.includes(typed.type)) {
+                errors.push(`${label}: unknown ${field}.type "${typed.type}". Expected one of: ${allowedTypes.join(', ')}.`);
+                return false;
+            }
+            return true;
+        }
+
+        function checkBasics(entry, label) {
+            check(isText(entry.id), `${label}: "id" must be a non-empty string.`);
+            check(isText(entry.name), `${label}: "name" must be a non-empty string.`);
+            check(typeof entry.description === 'string', `${label}: "description" must be a string.`);
+        }
+
+        checkList('ideaFormats', true, (format, label, index, formats) => {
+            check(isText(format.name), `${label}: "name" must be a non-empty string.`);
+            check(isText(format.cssClass) || isText(format.icon), `${label}: needs a "cssClass" or an "icon".`);
+            check(typeof format.message === 'string', `${label}: "message" must be a string.`);
+            if (!isAmount(format.threshold)) {
+                errors.push(`${label}: "threshold" must be a number.`);
+                return;
+            }
+            if (index === 0) {
+                check(BigNum.from(format.threshold).isZero(), `${label}: the first format's threshold must be 0.`);
+                return;
+            }
+            const previous = formats[index - 1];
+            if (previous && isAmount(previous.threshold)) {
+                check(BigNum.from(format.threshold).gt(previous.threshold),
+                    `${label}: threshold ${format.threshold} must be greater than the previous format's threshold (${previous.threshold}).`);
+            }
+        });
+
+        checkList('advantages', true, (adv, label) => {
+            checkBasics(adv, label);
+            check(isAmount(adv.cost) && BigNum.from(adv.cost).gt(0), `${label}: "cost" must be a positive number.`);
+            check(Number.isInteger(adv.maxLevel) && adv.maxLevel >= 1, `${label}: "maxLevel" must be a whole number of at least 1.`);
+            if (adv.costCurve !== undefined && checkType(adv, 'costCurve', COST_CURVE_TYPES, label)) {
+                if (adv.costCurve.type === 'exponential') {
+                    check(isPositive(adv.costCurve.rate), `${label}: an exponential costCurve needs a positive "rate".`);
+                }
+                if (adv.costCurve.type === 'linear') {
+                    check(typeof adv.costCurve.step === 'number', `${label}: a linear costCurve needs a numeric "step".`);
+                }
+            }
+            if (adv.slot !== undefined) {
+                check(isText(adv.slot), `${label}: "slot" must be a non-empty string.`);
+            }
+            if (checkType(adv, 'effect', ADVANTAGE_EFFECT_TYPES, label)) {
+                checkValue(adv, 'effect', label);
+                if (COSMETIC_EFFECT_TYPES.includes(adv.effect.type)) {
+                    check(adv.maxLevel === 1, `${label}: cosmetics must have a "maxLevel" of 1.`);
+                }
+            }
+            if (adv.effect && adv.effect.type === 'play-song') {
+                const song = soundDefinitions[adv.effect.value];
+                check(Boolean(song) && song.channel === 'music', `${label}: unknown song "${adv.effect.value}".`);
+            }
+        });
+
+        const advantageIds = Array.isArray(content.advantages) ? content.advantages.map(adv => adv && adv.id) : [];
+        checkList('prestigeUpgrades', false, (upgrade, label) => {
+            checkBasics(upgrade, label);
+            check(isPositive(upgrade.cost), `${label}: "cost" must be a positive number.`);
+            if (checkType(upgrade, 'effect', PRESTIGE_EFFECT_TYPES, label)) {
+                checkValue(upgrade, 'effect', label);
+                if (upgrade.effect.type === 'keep-advantage') {
+                    check(advantageIds.includes(upgrade.effect.value), `${label}: keeps unknown advantage "${upgrade.effect.value}".`);
+                }
+            }
+        });
+
+        const formatNames = Array.isArray(content.ideaFormats) ? content.ideaFormats.map(format => format && format.name) : [];
+        checkList('achievements', false, (achievement, label) => {
+            checkBasics(achievement, label);
+            if (checkType(achievement, 'condition', Object.keys(achievementConditions), label)) {
+                checkValue(achievement, 'condition', label);
+                if (achievement.condition.type.startsWith('format-')) {
+                    check(formatNames.includes(achievement.condition.format),
+                        `${label}: condition refers to unknown idea format "${achievement.condition.format}".`);
+                }
+                if (achievement.condition.type === 'format-within') {
+                    check(isPositive(achievement.condition.minutes), `${label}: "condition.minutes" must be a positive number.`);
+                }
+            }
+            if (achievement.reward !== undefined && checkType(achievement, 'reward', ACHIEVEMENT_REWARD_TYPES, label)) {
+                checkValue(achievement, 'reward', label);
+            }
+        });
+
+        if (content.clickGovernor !== undefined) {
+            const governorOptions = content.clickGovernor;
+            if (!governorOptions || typeof governorOptions !== 'object' || Array.isArray(governorOptions)) {
+                errors.push('"clickGovernor" must be an object.');
+            } else {
+                Object.entries(governorOptions).forEach(([option, value]) => {
+                    check(option in ClickGovernor.DEFAULTS,
+                        `clickGovernor: unknown option "${option}". Expected one of: ${Object.keys(ClickGovernor.DEFAULTS).join(', ')}.`);
+                    check(isPositive(value), `clickGovernor: "${option}" must be a positive number.`);
+                });
+            }
+        }
+
+        checkList('goldenEvents', false, (event, label) => {
+            check(isText(event.id), `${label}: "id" must be a non-empty string.`);
+            check(isText(event.name), `${label}: "name" must be a non-empty string.`);
+            check(isPositive(event.weight), `${label}: "weight" must be a positive number.`);
+            if (checkType(event, 'effect', GOLDEN_EFFECT_TYPES, label)) {
+                checkValue(event, 'effect', label);
+                if (event.effect.type !== 'credit-windfall') {
+                    check(isPositive(event.duration), `${label}: buff events need a positive "duration" in seconds.`);
+                }
+            }
+        });
+
+        return errors;
+    }
+
+    // Copy validated content into the game, adding the per-player runtime fields
+    function applyContent(name, content) {
+        contentName = name;
+        ideaFormats = content.ideaFormats;
+        advantages = content.advantages.map(adv => ({ ...adv, level: 0, element: null }));
+        prestigeUpgrades = (content.prestigeUpgrades || []).map(upgrade => ({ ...upgrade, bought: false, element: null }));
+        achievements = (content.achievements || []).map(achievement => ({ ...achievement, unlocked: false }));
+        goldenEvents = content.goldenEvents || [];
+        clickGovernor = new ClickGovernor(content.clickGovernor); // Content can tune the anti-autoclicker thresholds
+        if (content.title) {
+            document.title = content.title;
+            document.querySelector('header h1').textContent = content.title;
+        }
+    }
+
+    function showContentError(err) {
+        console.error(err);
+        clickBtn.disabled = true;
+        messageDisplay.textContent = err.message;
+        announce(err.message);
+        messageDisplay.style.whiteSpace = 'pre-line';
+        messageDisplay.style.backgroundColor = 'var(--error-color)';
+        messageDisplay.style.color = 'white';
+    }
 
     // --- Game State Management ---
-    function loadGameState() {
-        ideaCount = parseInt(localStorage.getItem('ideaCount')) || 0;
-        credits = parseInt(localStorage.getItem('credits')) || 0;
-        ideasPerClick = parseInt(localStorage.getItem('ideasPerClick')) || 1;
-        creditThreshold = parseInt(localStorage.getItem('creditThreshold')) || 5;
-        ideasSinceLastCredit = parseInt(localStorage.getItem('ideasSinceLastCredit')) || 0;
-        currentFormatIndex = parseInt(localStorage.getItem('currentFormatIndex')) || 0;
-
-        const savedAdvantages = JSON.parse(localStorage.getItem('advantages')) || [];
+    // The whole Clicker save lives under one key of the active player profile (see profiles.js)
+    // as a versioned object. Bump SAVE_VERSION and add a step to `saveMigrations` whenever its shape changes.
+    const SAVE_KEY = 'clicker.save';
+    // Content variants keep their own saves, since their advantage ids and formats differ
+    function getSaveKey() {
+        return contentName === DEFAULT_CONTENT ? SAVE_KEY : `${SAVE_KEY}.${contentName}`;
+    }
+    const SAVE_VERSION = 4;
+    // A stored save that can't be read is moved here instead of being lost
+    function getBackupSaveKey() {
+        return `${getSaveKey()}.backup`;
+    }
+    // Version 1 saves were spread over these unprefixed keys
+    const LEGACY_SAVE_KEYS = [
+        'ideaCount', 'credits', 'ideasPerClick', 'creditThreshold', 'ideasSinceLastCredit',
+        'currentFormatIndex', 'advantages', 'currentPlayingSong', 'lastSeen', 'prestigeState'
+    ];
+    let isResetting = false; // Stops the unload handler from re-saving a save we just deleted
+
+    // Each entry upgrades a save from version N to N + 1
+    const saveMigrations = {
+        1: legacy => ({
+            version: 2,
+            ideaCount: parseFloat(legacy.ideaCount) || 0,
+            credits: parseInt(legacy.credits) || 0,
+            ideasPerClick: parseInt(legacy.ideasPerClick) || 1,
+            creditThreshold: parseInt(legacy.creditThreshold) || 5,
+            ideasSinceLastCredit: parseFloat(legacy.ideasSinceLastCredit) || 0,
+            currentFormatIndex: parseInt(legacy.currentFormatIndex) || 0,
+            // Older saves stored a one-time `bought` flag instead of a level
+            advantages: (JSON.parse(legacy.advantages) || []).map(sAdv => ({
+                id: sAdv.id,
+                level: sAdv.level !== undefined ? sAdv.level : (sAdv.bought ? 1 : 0)
+            })),
+            currentPlayingSong: legacy.currentPlayingSong || null,
+            lastSeen: parseInt(legacy.lastSeen) || null,
+            prestige: JSON.parse(legacy.prestigeState) || {}
+        }),
+        // Version 3 stores economy amounts as BigNum strings instead of plain numbers
+        2: save => {
+            const toBigNumString = value => (value === undefined ? undefined : BigNum.from(value).toJSON());
+            const stats = save.stats || {};
+            return {
+                ...save,
+                version: 3,
+                ideaCount: toBigNumString(save.ideaCount),
+                credits: toBigNumString(save.credits),
+                ideasPerClick: toBigNumString(save.ideasPerClick),
+                ideasSinceLastCredit: toBigNumString(save.ideasSinceLastCredit),
+                stats: {
+                    ...stats,
+                    creditsSpent: toBigNumString(stats.creditsSpent),
+                    creditsEarned: toBigNumString(stats.creditsEarned),
+                    lifetimeIdeas: toBigNumString(stats.lifetimeIdeas),
+                    manualIdeas: toBigNumString(stats.manualIdeas),
+                    autoIdeas: toBigNumString(stats.autoIdeas)
+                }
+            };
+        },
+        // Version 4 derives ideas per click and the credit threshold from owned advantages
+        3: save => {
+            const migrated = { ...save, version: 4 };
+            delete migrated.ideasPerClick;
+            delete migrated.creditThreshold;
+            return migrated;
+        }
+    };
+
+    // Upgrades a save to the current version and checks it can be loaded; throws if it can't
+    function migrateSave(save) {
+        if (!save || typeof save !== 'object' || !Number.isInteger(save.version)) {
+            throw new Error('Save data has no version.');
+        }
+        if (save.version > SAVE_VERSION) {
+            throw new Error(`Save version ${save.version} is newer than this game supports.`);
+        }
+        while (save.version < SAVE_VERSION) {
+            if (!saveMigrations[save.version]) {
+                throw new Error(`Save version ${save.version} is not a known save format.`);
+            }
+            save = saveMigrations[save.version](save);
+        }
+        const errors = validateSave(save);
+        if (errors.length > 0) {
+            throw new Error(`Save data is damaged:\n- ${errors.join('\n- ')}`);
+        }
+        return save;
+    }
+
+    // Returns a list of problems with a current-version save; an empty list means it can be loaded
+    function validateSave(save) {
+        const errors = [];
+        const check = (condition, message) => {
+            if (!condition) errors.push(message);
+        };
+        const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+        const isCount = value => Number.isInteger(value) && value >= 0;
+        const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+        const isText = value => typeof value === 'string';
+        const isListOf = test => value => Array.isArray(value) && value.every(test);
+        // Fields missing from older saves fall back to defaults when loading
+        const checkField = (section, field, test, message) => {
+            check(section[field] === undefined || test(section[field]), message);
+        };
+
+        ['ideaCount', 'credits', 'ideasSinceLastCredit'].forEach(field => {
+            checkField(save, field, isAmount, `"${field}" must be an amount.`);
+        });
+        checkField(save, 'currentFormatIndex', isCount, '"currentFormatIndex" must be a whole number.');
+        checkField(save, 'runStartedAt', isNumber, '"runStartedAt" must be a timestamp.');
+        checkField(save, 'lastSeen', value => value === null || isNumber(value), '"lastSeen" must be a timestamp.');
+        checkField(save, 'fairPlay', isObject, '"fairPlay" must be an object.');
+        checkField(save, 'advantages', isListOf(adv => isObject(adv) && isText(adv.id) && isCount(adv.level)),
+            '"advantages" must be a list of { id, level } entries.');
+        checkField(save, 'loadout', isListOf(isText), '"loadout" must be a list of advantage ids.');
+        checkField(save, 'currentPlayingSong', value => value === null || isText(value), '"currentPlayingSong" must be a song name.');
+        checkField(save, 'achievements', isListOf(isText), '"achievements" must be a list of achievement ids.');
+
+        checkField(save, 'prestige', isObject, '"prestige" must be an object.');
+        if (isObject(save.prestige)) {
+            ['inspiration', 'totalInspiration', 'rebirthCount'].forEach(field => {
+                checkField(save.prestige, field, isNumber, `"prestige.${field}" must be a number.`);
+            });
+            checkField(save.prestige, 'upgrades', isListOf(upgrade => isObject(upgrade) && isText(upgrade.id)),
+                '"prestige.upgrades" must be a list of { id, bought } entries.');
+        }
+
+        checkField(save, 'stats', isObject, '"stats" must be an object.');
+        if (isObject(save.stats)) {
+            ['creditsSpent', 'creditsEarned', 'lifetimeIdeas', 'manualIdeas', 'autoIdeas'].forEach(field => {
+                checkField(save.stats, field, isAmount, `"stats.${field}" must be an amount.`);
+            });
+            ['totalClicks', 'secondsPlayed'].forEach(field => {
+                checkField(save.stats, field, isNumber, `"stats.${field}" must be a number.`);
+            });
+            ['formatTimes', 'bestFormatTimes'].forEach(field => {
+                checkField(save.stats, field, isObject, `"stats.${field}" must be an object.`);
+            });
+        }
+
+        checkField(save, 'settings', isObject, '"settings" must be an object.');
+        if (isObject(save.settings)) {
+            checkField(save.settings, 'numberFormat', isText, '"settings.numberFormat" must be a string.');
+            checkField(save.settings, 'reducedMotion', value => typeof value === 'boolean', '"settings.reducedMotion" must be true or false.');
+            checkField(save.settings, 'audio', isObject, '"settings.audio" must be an object.');
+        }
+        return errors;
+    }
+
+    // Read the current save, upgrading a legacy multi-key save in place if one exists.
+    // A save that can't be read is kept under the backup key and the game starts fresh.
+    function readSave() {
+        let stored = Profiles.getItem(getSaveKey());
+        try {
+            if (stored) {
+                return migrateSave(JSON.parse(stored));
+            }
+            if (contentName === DEFAULT_CONTENT && LEGACY_SAVE_KEYS.some(key => Profiles.getItem(key) !== null)) {
+                const legacy = { version: 1 };
+                LEGACY_SAVE_KEYS.forEach(key => {
+                    legacy[key] = Profiles.getItem(key);
+                });
+                stored = JSON.stringify(legacy);
+                const save = migrateSave(legacy);
+                Profiles.setItem(getSaveKey(), JSON.stringify(save));
+                LEGACY_SAVE_KEYS.forEach(key => Profiles.removeItem(key));
+                return save;
+            }
+        } catch (err) {
+            console.error(err);
+            Profiles.setItem(getBackupSaveKey(), stored);
+            Profiles.removeItem(getSaveKey());
+            showMessage('Your save could not be read, so a new game was started. The old save was kept as a backup.', 'var(--error-color)');
+        }
+        return { version: SAVE_VERSION, runStartedAt: Date.now() };
+    }
+
+    function loadGameState(save) {
+        ideaCount = BigNum.from(save.ideaCount); // Prestige multipliers can yield fractional ideas
+        credits = BigNum.from(save.credits);
+        ideasSinceLastCredit = BigNum.from(save.ideasSinceLastCredit);
+        currentFormatIndex = save.currentFormatIndex || 0;
+        runStartedAt = save.runStartedAt || 0; // Runs from before this was tracked can't claim timed achievements
+        clickGovernor.restore(save.fairPlay);
+
+        const savedAdvantages = save.advantages || [];
         advantages.forEach(adv => {
             const savedAdv = savedAdvantages.find(sAdv => sAdv.id === adv.id);
             if (savedAdv) {
-                adv.bought = savedAdv.bought;
+                adv.level = Math.min(savedAdv.level, adv.maxLevel);
             }
         });
 
-        // Apply bought advantages that are persistent (e.g., auto-clicker, visual classes, current song)
+        // Apply bought advantages that are persistent (e.g., cosmetics, current song)
+        loadout = [];
+        // Saves from before the inventory existed had every bought visual class switched on
+        const savedLoadout = save.loadout ||
+            advantages.filter(adv => adv.effect.type === 'add-visual-class').map(adv => adv.id);
         advantages.forEach(adv => {
-            if (adv.bought) {
-                if (adv.effect.type === 'auto-ideas') {
-                    applyAdvantageEffect(adv.effect, true); // Re-start auto-clicker
-                }
-                if (adv.effect.type === 'add-visual-class') {
-                    document.body.classList.add(adv.effect.value);
+            if (adv.level > 0) {
+                if (isCosmetic(adv) && savedLoadout.includes(adv.id)) {
+                    setCosmeticActive(adv, true);
                 }
-                if (adv.effect.type === 'play-song' && localStorage.getItem('currentPlayingSong') === adv.effect.value) {
+                if (adv.effect.type === 'play-song' && save.currentPlayingSong === adv.effect.value) {
                     playSong(adv.effect.value);
                 }
             }
@@ -191,46 +726,200 @@ document.addEventListener('DOMContentLoaded', () => {
         if (currentFormatIndex >= ideaFormats.length) {
             currentFormatIndex = ideaFormats.length - 1;
         }
+        recalculateStats();
+
+        // Catch up on what the auto-clicker earned while the tab was closed, then re-start it
+        if (autoIdeasPerSecond > 0) {
+            applyOfflineProgress(autoIdeasPerSecond, save.lastSeen);
+            startAutoClicker();
+        }
+    }
+
+    function loadPrestigeState(savedPrestige = {}) {
+        inspiration = savedPrestige.inspiration || 0;
+        totalInspiration = savedPrestige.totalInspiration || 0;
+        rebirthCount = savedPrestige.rebirthCount || 0;
+
+        const savedUpgrades = savedPrestige.upgrades || [];
+        prestigeUpgrades.forEach(upgrade => {
+            const savedUpgrade = savedUpgrades.find(sUpg => sUpg.id === upgrade.id);
+            if (savedUpgrade) {
+                upgrade.bought = savedUpgrade.bought;
+            }
+        });
+    }
+
+    // Stats and achievements are loaded before the run so their bonuses apply to offline progress
+    function loadAchievementState(save) {
+        const savedStats = save.stats || {};
+        totalClicks = savedStats.totalClicks || 0;
+        creditsSpent = BigNum.from(savedStats.creditsSpent);
+        creditsEarned = BigNum.from(savedStats.creditsEarned);
+        lifetimeIdeas = BigNum.from(savedStats.lifetimeIdeas);
+        manualIdeas = BigNum.from(savedStats.manualIdeas);
+        autoIdeas = BigNum.from(savedStats.autoIdeas);
+        secondsPlayed = savedStats.secondsPlayed || 0;
+        formatTimes = savedStats.formatTimes || {};
+        bestFormatTimes = savedStats.bestFormatTimes || {};
+
+        const unlockedIds = save.achievements || [];
+        achievements.forEach(achievement => {
+            achievement.unlocked = unlockedIds.includes(achievement.id);
+        });
+    }
+
+    function loadSettings(save) {
+        const savedSettings = save.settings || {};
+        numberFormat = savedSettings.numberFormat || 'short';
+        numberFormatSelect.value = numberFormat;
+        // Until the player picks a setting, follow the operating system's preference
+        reducedMotion = savedSettings.reducedMotion !== undefined
+            ? savedSettings.reducedMotion
+            : matchMedia('(prefers-reduced-motion: reduce)').matches;
+        applyReducedMotion();
+        audioSettings = { ...DEFAULT_AUDIO_SETTINGS, ...savedSettings.audio };
+        applyAudioSettings();
+        renderAudioSettings();
+    }
+
+    // Snapshot of everything the Clicker persists, in the current save format
+    function buildSave() {
+        return {
+            version: SAVE_VERSION,
+            ideaCount,
+            credits,
+            ideasSinceLastCredit,
+            currentFormatIndex,
+            runStartedAt,
+            fairPlay: clickGovernor,
+            advantages: advantages.map(adv => ({ id: adv.id, level: adv.level })),
+            loadout,
+            // Save current playing song to persist across sessions (a paused song stays paused)
+            currentPlayingSong: musicPaused ? null : currentSong,
+            lastSeen: Date.now(),
+            prestige: {
+                inspiration,
+                totalInspiration,
+                rebirthCount,
+                upgrades: prestigeUpgrades.map(upgrade => ({ id: upgrade.id, bought: upgrade.bought }))
+            },
+            stats: {
+                totalClicks,
+                creditsSpent,
+                creditsEarned,
+                lifetimeIdeas,
+                manualIdeas,
+                autoIdeas,
+                secondsPlayed,
+                formatTimes,
+                bestFormatTimes
+            },
+            achievements: achievements.filter(achievement => achievement.unlocked).map(achievement => achievement.id),
+            settings: {
+                numberFormat,
+                reducedMotion,
+                audio: audioSettings
+            }
+        };
     }
 
     function saveGameState() {
-        localStorage.setItem('ideaCount', ideaCount);
-        localStorage.setItem('credits', credits);
-        localStorage.setItem('ideasPerClick', ideasPerClick);
-        localStorage.setItem('creditThreshold', creditThreshold);
-        localStorage.setItem('ideasSinceLastCredit', ideasSinceLastCredit);
-        localStorage.setItem('currentFormatIndex', currentFormatIndex);
+        if (isResetting) return;
+        Profiles.setItem(getSaveKey(), JSON.stringify(buildSave()));
+    }
 
-        const savedAdvantages = advantages.map(adv => ({ id: adv.id, bought: adv.bought }));
-        localStorage.setItem('advantages', JSON.stringify(savedAdvantages));
+    // --- Save Export / Import ---
+    function encodeSave(save) {
+        const bytes = new TextEncoder().encode(JSON.stringify(save));
+        return btoa(String.fromCharCode(...bytes));
+    }
 
-        // Save current playing song to persist across sessions
-        if (currentSong) {
-            localStorage.setItem('currentPlayingSong', Object.keys(sounds).find(key => sounds[key] === currentSong));
+    // Accepts either raw save JSON or the base64 string produced by `encodeSave`
+    function decodeSave(text) {
+        const trimmed = text.trim();
+        if (trimmed.startsWith('{')) {
+            return JSON.parse(trimmed);
+        }
+        const bytes = Uint8Array.from(atob(trimmed), char => char.charCodeAt(0));
+        return JSON.parse(new TextDecoder().decode(bytes));
+    }
+
+    function exportSave() {
+        saveTextArea.value = encodeSave(buildSave());
+        saveTextArea.select();
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(saveTextArea.value)
+                .then(() => showMessage('Save copied to clipboard!', 'var(--success-color)'))
+                .catch(() => showMessage('Save exported below. Copy it to move your progress.', 'var(--success-color)'));
         } else {
-            localStorage.removeItem('currentPlayingSong');
+            showMessage('Save exported below. Copy it to move your progress.', 'var(--success-color)');
+        }
+    }
+
+    function downloadSave() {
+        const blob = new Blob([JSON.stringify(buildSave(), null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `clicker-save-${new Date().toISOString().slice(0, 10)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(link.href);
+    }
+
+    function importSave(text) {
+        let save;
+        try {
+            save = migrateSave(decodeSave(text));
+        } catch (err) {
+            showMessage(`Import failed: ${err.message}`, 'var(--error-color)');
+            playSound('error');
+            return;
+        }
+        if (confirm("Replace your current progress with the imported save?")) {
+            isResetting = true; // Keep the unload handler from overwriting the imported save
+            if (autoClickerInterval) clearInterval(autoClickerInterval);
+            Profiles.setItem(getSaveKey(), JSON.stringify(save));
+            location.reload(); // Reload so every system starts from the imported state
         }
     }
 
+    function importSaveFile(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+        file.text().then(importSave);
+        e.target.value = ''; // Allow re-importing the same file
+    }
+
     function resetGame() {
         if (confirm("Are you sure you want to restart? All progress will be lost!")) {
-            localStorage.clear(); // Clear all saved data
+            isResetting = true;
+            if (autoClickerInterval) clearInterval(autoClickerInterval);
+            // Only clear the Clicker's own data; the profile's other games keep theirs
+            Profiles.removeItem(getSaveKey());
+            Profiles.removeItem(getBackupSaveKey());
+            LEGACY_SAVE_KEYS.forEach(key => Profiles.removeItem(key));
             location.reload(); // Reload the page to reset the game state
         }
     }
 
     // --- UI Update Functions ---
+    // Render an amount in the player's chosen number format
+    function formatNumber(value) {
+        return BigNum.from(value).format(numberFormat);
+    }
+
     function updateDisplay() {
-        ideaCountDisplay.textContent = ideaCount;
-        creditCountDisplay.textContent = credits;
+        ideaCountDisplay.textContent = formatNumber(ideaCount);
+        creditCountDisplay.textContent = formatNumber(credits);
 
         // Update progress bar for next format unlock
         const nextFormat = ideaFormats[currentFormatIndex + 1];
         if (nextFormat) {
-            const currentFormatThreshold = ideaFormats[currentFormatIndex].threshold;
-            const progressRange = nextFormat.threshold - currentFormatThreshold;
-            const currentProgress = ideaCount - currentFormatThreshold;
-            progressBar.style.width = `${(currentProgress / progressRange) * 100}%`;
+            const currentFormatThreshold = BigNum.from(ideaFormats[currentFormatIndex].threshold);
+            const progressRange = BigNum.from(nextFormat.threshold).sub(currentFormatThreshold);
+            const currentProgress = ideaCount.sub(currentFormatThreshold);
+            progressBar.style.width = `${currentProgress.div(progressRange).toNumber() * 100}%`;
             document.querySelector('.progress-label').textContent = `Progress to "${nextFormat.name}"`;
         } else {
             progressBar.style.width = `100%`;
@@ -239,24 +928,28 @@ document.addEventListener('DOMContentLoaded', () => {
 
         updateShopButtons();
         updateIdeaFormatVisual();
+        updatePrestigeDisplay();
     }
 
     // Apply the visual format based on idea count
     function updateIdeaFormatVisual() {
         let newFormatIndex = currentFormatIndex;
         for (let i = ideaFormats.length - 1; i >= 0; i--) {
-            if (ideaCount >= ideaFormats[i].threshold) {
+            if (ideaCount.gte(ideaFormats[i].threshold)) {
                 newFormatIndex = i;
                 break;
             }
         }
 
         if (newFormatIndex !== currentFormatIndex) {
+            recordFormatTimes(currentFormatIndex, newFormatIndex);
             currentFormatIndex = newFormatIndex;
-            localStorage.setItem('currentFormatIndex', currentFormatIndex);
+            recalculateStats(); // Format synergies depend on how far the run has come
+            saveGameState();
             const unlockedFormat = ideaFormats[currentFormatIndex];
             currentFormatTitle.textContent = unlockedFormat.name;
             messageDisplay.textContent = `New Idea Format Unlocked: "${unlockedFormat.name}"! ${unlockedFormat.message}`;
+            announce(messageDisplay.textContent);
             messageDisplay.classList.add('flash-message');
             setTimeout(() => {
                 messageDisplay.classList.remove('flash-message');
@@ -267,38 +960,72 @@ document.addEventListener('DOMContentLoaded', () => {
 
         // Always ensure the correct class is applied for the current format
         // This handles initial load and format changes
+        const format = ideaFormats[currentFormatIndex];
         ideaFormatVisual.className = ''; // Clear all previous format classes
-        ideaFormatVisual.classList.add(ideaFormats[currentFormatIndex].cssClass);
+        if (format.cssClass) ideaFormatVisual.classList.add(format.cssClass);
+        // Content files can give a format an emoji `icon` instead of a stylesheet class
+        if (format.icon) {
+            ideaFormatVisual.dataset.icon = format.icon;
+        } else {
+            delete ideaFormatVisual.dataset.icon;
+        }
         currentFormatTitle.textContent = ideaFormats[currentFormatIndex].name;
     }
 
     // --- Game Logic ---
-    function handleClick(e) {
-        ideaCount += ideasPerClick;
-        ideasSinceLastCredit += ideasPerClick;
+    // Add ideas and convert every full `creditThreshold` of them into a credit.
+    // `source` is 'manual' or 'auto' for the stats. Returns the number of credits earned.
+    function earnIdeas(amount, source) {
+        ideaCount = ideaCount.add(amount);
+        ideasSinceLastCredit = ideasSinceLastCredit.add(amount);
+        const newCredits = ideasSinceLastCredit.div(creditThreshold).floor();
+        credits = credits.add(newCredits);
+        // Clamp: at huge magnitudes the remainder is below BigNum precision
+        ideasSinceLastCredit = BigNum.max(BigNum.ZERO, ideasSinceLastCredit.sub(newCredits.mul(creditThreshold)));
 
-        while (ideasSinceLastCredit >= creditThreshold) {
-            credits++;
-            ideasSinceLastCredit -= creditThreshold;
-            // Optional: Play a credit sound
+        lifetimeIdeas = lifetimeIdeas.add(amount);
+        creditsEarned = creditsEarned.add(newCredits);
+        if (source === 'manual') {
+            manualIdeas = manualIdeas.add(amount);
+        } else {
+            autoIdeas = autoIdeas.add(amount);
         }
+        return newCredits;
+    }
+
+    function handleClick(e) {
+        totalClicks++;
+        const wasFlagged = clickGovernor.flagged;
+        const clickWeight = clickGovernor.registerClick(performance.now());
+        const ideasGained = ideasPerClick.mul(getClickMultiplier()).mul(clickWeight);
+        earnIdeas(ideasGained, 'manual');
+        ideasThisSecond = ideasThisSecond.add(ideasGained);
 
         updateDisplay();
+        checkAchievements();
         createSpark(e);
         saveGameState();
         playSound('click'); // Play click sound
+        if (clickGovernor.flagged && !wasFlagged) {
+            showMessage('Unusual clicking detected: click rewards are capped and this run is marked as assisted.', 'var(--error-color)');
+            renderStats();
+        }
     }
 
     // Create a visual spark animation
     function createSpark(e) {
+        if (reducedMotion) return;
         const spark = document.createElement('div');
         spark.classList.add('spark');
         sparkContainer.appendChild(spark);
 
+        const containerRect = sparkContainer.getBoundingClientRect();
         const btnRect = clickBtn.getBoundingClientRect();
         const sparkSize = Math.random() * 20 + 10;
-        const clickX = e.clientX - btnRect.left;
-        const clickY = e.clientY - btnRect.top;
+        // Keyboard activation has no pointer position (detail is 0), so spark from the button's center
+        const fromPointer = e && e.detail > 0;
+        const clickX = (fromPointer ? e.clientX : btnRect.left + btnRect.width / 2) - containerRect.left;
+        const clickY = (fromPointer ? e.clientY : btnRect.top + btnRect.height / 2) - containerRect.top;
 
         spark.style.width = `${sparkSize}px`;
         spark.style.height = `${sparkSize}px`;
@@ -314,19 +1041,24 @@ document.addEventListener('DOMContentLoaded', () => {
     // --- Shop Functions ---
     function renderShop() {
         advantageList.innerHTML = ''; // Clear existing list
-        advantages.forEach(adv => {
+        advantages.forEach((adv, index) => {
+            const shortcutKey = SHOP_SHORTCUT_KEYS[index];
             const itemDiv = document.createElement('div');
             itemDiv.classList.add('advantage-item');
             itemDiv.innerHTML = `
+                ${shortcutKey ? `<kbd class="shortcut-key" aria-hidden="true">${shortcutKey}</kbd>` : ''}
                 <h3>${adv.name}</h3>
                 <p>${adv.description}</p>
-                <div class="cost">Cost: ${adv.cost} Credits</div>
-                <button class="buy-btn" data-id="${adv.id}" ${adv.bought ? 'disabled' : ''}>
-                    ${adv.bought ? 'Purchased!' : 'Buy'}
-                </button>
+                ${adv.maxLevel > 1 ? '<div class="level"></div>' : ''}
+                <div class="cost"></div>
+                <div class="advantage-actions">
+                    <button class="buy-btn" data-id="${adv.id}"></button>
+                    ${isCosmetic(adv) ? `<button class="preview-btn" data-id="${adv.id}">Preview</button>` : ''}
+                </div>
             `;
             advantageList.appendChild(itemDiv);
             adv.element = itemDiv.querySelector('.buy-btn'); // Store reference to the button
+            if (shortcutKey) adv.element.setAttribute('aria-keyshortcuts', shortcutKey);
         });
         addShopListeners();
         updateShopButtons(); // Initial update after rendering
@@ -339,58 +1071,80 @@ document.addEventListener('DOMContentLoaded', () => {
                 buyAdvantage(advId);
             });
         });
+        advantageList.querySelectorAll('.preview-btn').forEach(button => {
+            button.addEventListener('click', (e) => {
+                previewCosmetic(advantages.find(adv => adv.id === e.target.dataset.id));
+            });
+        });
+    }
+
+    // Show a short-lived colored message (e.g. purchase success or failure)
+    function showMessage(text, backgroundColor) {
+        announce(text); // The color alone means nothing to screen readers
+        messageDisplay.textContent = text;
+        messageDisplay.style.backgroundColor = backgroundColor;
+        messageDisplay.style.color = 'white';
+        setTimeout(() => {
+            messageDisplay.textContent = '';
+            messageDisplay.style.backgroundColor = '';
+            messageDisplay.style.color = '';
+        }, 2000);
+    }
+
+    // Price of the next level of an advantage, following its cost curve
+    function getAdvantageCost(adv) {
+        const curve = adv.costCurve || { type: 'flat' };
+        const baseCost = BigNum.from(adv.cost);
+        switch (curve.type) {
+            case 'exponential':
+                return baseCost.mul(new BigNum(curve.rate).pow(adv.level)).ceil();
+            case 'linear':
+                return baseCost.add(BigNum.from(curve.step).mul(adv.level));
+            default:
+                return baseCost;
+        }
+    }
+
+    function isMaxLevel(adv) {
+        return adv.level >= adv.maxLevel;
     }
 
     function buyAdvantage(id) {
         const adv = advantages.find(a => a.id === id);
-        if (adv && !adv.bought && credits >= adv.cost) {
-            credits -= adv.cost;
-            adv.bought = true;
-            applyAdvantageEffect(adv.effect);
-            messageDisplay.textContent = `"${adv.name}" purchased!`;
-            messageDisplay.style.backgroundColor = 'var(--success-color)';
-            messageDisplay.style.color = 'white';
-            setTimeout(() => {
-                messageDisplay.textContent = '';
-                messageDisplay.style.backgroundColor = '';
-                messageDisplay.style.color = '';
-            }, 2000);
+        if (!adv || isMaxLevel(adv)) return;
+        const cost = getAdvantageCost(adv);
+        if (credits.gte(cost)) {
+            credits = credits.sub(cost);
+            creditsSpent = creditsSpent.add(cost);
+            adv.level++;
+            recalculateStats();
+            if (isCosmetic(adv)) {
+                setCosmeticActive(adv, true); // Wear new cosmetics straight away
+                renderCosmetics();
+            } else {
+                applyAdvantageEffect(adv.effect);
+            }
+            showMessage(adv.maxLevel > 1 ? `"${adv.name}" upgraded to level ${adv.level}!` : `"${adv.name}" purchased!`, 'var(--success-color)');
             playSound('purchase');
             updateDisplay();
+            checkAchievements();
             saveGameState();
-        } else if (adv && credits < adv.cost) {
-            messageDisplay.textContent = `Not enough credits for "${adv.name}"!`;
-            messageDisplay.style.backgroundColor = 'var(--error-color)';
-            messageDisplay.style.color = 'white';
-            setTimeout(() => {
-                messageDisplay.textContent = '';
-                messageDisplay.style.backgroundColor = '';
-                messageDisplay.style.color = '';
-            }, 2000);
+        } else {
+            showMessage(`Not enough credits for "${adv.name}"!`, 'var(--error-color)');
             playSound('error');
         }
     }
 
-    function applyAdvantageEffect(effect, loading = false) {
+    function applyAdvantageEffect(effect) {
         switch (effect.type) {
-            case 'ipc-multiplier':
-                ideasPerClick *= effect.value;
-                break;
-            case 'ipc-add':
-                ideasPerClick += effect.value;
-                break;
-            case 'credit-threshold-reduce':
-                creditThreshold = Math.max(1, creditThreshold - effect.value); // Don't go below 1
-                break;
+            // Stat effects (IPC, credit threshold, synergies) are folded in by `recalculateStats`
             case 'auto-ideas':
-                if (!loading) { // Only start new interval if not loading from saved state
-                    if (autoClickerInterval) clearInterval(autoClickerInterval); // Clear existing to prevent duplicates
-                    startAutoClicker(effect.value);
+                if (!autoClickerInterval) {
+                    startAutoClicker(); // A running auto-clicker picks up the new rate on its next tick
                 }
                 break;
             case 'play-song':
-                stopCurrentSong(); // Stop any currently playing song
-                playSong(effect.value);
+                playSong(effect.value); // Replaces any song already playing
                 break;
             case 'add-visual-class':
                 document.body.classList.add(effect.value);
@@ -398,46 +1152,710 @@ document.addEventListener('DOMContentLoaded', () => {
             case 'remove-visual-class':
                 document.body.classList.remove(effect.value);
                 break;
+            case 'format-skin':
+                formatDisplay.classList.add(effect.value);
+                break;
         }
-        // If loading, we don't want to re-save. Otherwise, save state.
-        if (!loading) {
-            saveGameState();
-        }
+        // Callers save once they are done, so restoring a save doesn't write a half-loaded one
     }
 
     function updateShopButtons() {
         advantages.forEach(adv => {
             if (adv.element) { // Ensure the element exists (it will after renderShop)
-                if (adv.bought) {
+                const itemDiv = adv.element.closest('.advantage-item');
+                const previewBtn = itemDiv.querySelector('.preview-btn');
+                if (previewBtn) {
+                    previewBtn.hidden = adv.level > 0; // Owned cosmetics are toggled from the inventory instead
+                }
+                const levelDisplay = itemDiv.querySelector('.level');
+                const costDisplay = itemDiv.querySelector('.cost');
+                if (levelDisplay) {
+                    levelDisplay.textContent = `Level ${adv.level} / ${adv.maxLevel}`;
+                }
+                if (isMaxLevel(adv)) {
                     adv.element.disabled = true;
-                    adv.element.textContent = 'Purchased!';
+                    adv.element.textContent = adv.maxLevel > 1 ? 'Maxed!' : 'Purchased!';
+                    costDisplay.textContent = '';
                 } else {
-                    adv.element.disabled = credits < adv.cost;
+                    const cost = getAdvantageCost(adv);
+                    adv.element.disabled = credits.lt(cost);
+                    adv.element.textContent = adv.level > 0 ? 'Upgrade' : 'Buy';
+                    costDisplay.textContent = `Cost: ${formatNumber(cost)} Credits`;
                 }
             }
         });
     }
 
-    function startAutoClicker(ideasPerSecond) {
+    // --- Derived Stats ---
+    // Ideas per click, auto rate and credit threshold are rebuilt from scratch out of the owned
+    // advantage levels, so the result never depends on purchase order or on replaying effects.
+    // Per stat the order is: base value, flat additions, multipliers, then synergies.
+    // Prestige, achievement and buff multipliers stay separate (see getClickMultiplier).
+    const BASE_IDEAS_PER_CLICK = 1;
+    const BASE_CREDIT_THRESHOLD = 5;
+    const MIN_CREDIT_THRESHOLD = 1;
+
+    // Sum of `effect.value` over every owned level of advantages with this effect type
+    function getEffectTotal(effectType) {
+        return advantages
+            .filter(adv => adv.effect.type === effectType)
+            .reduce((total, adv) => total + adv.effect.value * adv.level, 0);
+    }
+
+    // Product of `effect.value` over every owned level, as a BigNum since it compounds
+    function getEffectProduct(effectType) {
+        return advantages
+            .filter(adv => adv.effect.type === effectType)
+            .reduce((product, adv) => product.mul(new BigNum(adv.effect.value).pow(adv.level)), new BigNum(1));
+    }
+
+    function recalculateStats() {
+        const formatsUnlocked = currentFormatIndex + 1;
+        const levelsOwned = advantages.reduce((total, adv) => total + adv.level, 0);
+
+        ideasPerClick = new BigNum(BASE_IDEAS_PER_CLICK + getEffectTotal('ipc-add'))
+            .mul(getEffectProduct('ipc-multiplier'))
+            .mul(1 + getEffectTotal('ipc-per-format') * formatsUnlocked);
+
+        autoIdeasPerSecond = getEffectTotal('auto-ideas') *
+            (1 + getEffectTotal('auto-per-level') * levelsOwned);
+
+        creditThreshold = Math.max(MIN_CREDIT_THRESHOLD, BASE_CREDIT_THRESHOLD - getEffectTotal('credit-threshold-reduce'));
+    }
+
+    function getAutoIdeasPerSecond() {
+        return autoIdeasPerSecond;
+    }
+
+    function startAutoClicker() {
         if (autoClickerInterval) clearInterval(autoClickerInterval); // Clear any existing
         autoClickerInterval = setInterval(() => {
-            ideaCount += ideasPerSecond;
-            ideasSinceLastCredit += ideasPerSecond;
-            while (ideasSinceLastCredit >= creditThreshold) {
-                credits++;
-                ideasSinceLastCredit -= creditThreshold;
-            }
+            const ideasGained = new BigNum(getAutoIdeasPerSecond()).mul(getAutoMultiplier());
+            earnIdeas(ideasGained, 'auto');
+            ideasThisSecond = ideasThisSecond.add(ideasGained);
             updateDisplay();
+            checkAchievements();
             saveGameState();
         }, 1000); // Every second
     }
 
+    // Credit the ideas the auto-clicker would have produced since `lastSeen` (capped)
+    function applyOfflineProgress(ideasPerSecond, lastSeen) {
+        if (!lastSeen) return;
+        const secondsAway = Math.min((Date.now() - lastSeen) / 1000, OFFLINE_CAP_SECONDS);
+        if (secondsAway < OFFLINE_MIN_SECONDS) return;
+
+        const ideasEarned = new BigNum(ideasPerSecond).mul(getAutoMultiplier()).mul(Math.floor(secondsAway));
+        const offlineCredits = earnIdeas(ideasEarned, 'auto');
+        showOfflineSummary(secondsAway, ideasEarned, offlineCredits);
+    }
+
+    function formatDuration(totalSeconds) {
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = Math.floor(totalSeconds % 60);
+        if (hours > 0) return `${hours}h ${minutes}m`;
+        if (minutes > 0) return `${minutes}m ${seconds}s`;
+        return `${seconds}s`;
+    }
+
+    function showOfflineSummary(secondsAway, ideasEarned, creditsEarned) {
+        const capped = secondsAway >= OFFLINE_CAP_SECONDS ? ' (offline progress is capped)' : '';
+        offlineSummaryText.textContent = `You were away for ${formatDuration(secondsAway)}${capped}. ` +
+            `Your Auto-Idea Generator produced ${formatNumber(ideasEarned)} ideas and earned ${formatNumber(creditsEarned)} credits.`;
+        offlineSummary.hidden = false;
+        offlineSummaryClose.focus();
+    }
+
+    // --- Prestige / Rebirth ---
+    // Permanent multiplier from every inspiration point ever earned
+    function getPrestigeMultiplier() {
+        return 1 + totalInspiration * INSPIRATION_BONUS;
+    }
+
+    // Product of the prestige multiplier and all bought upgrades of the given effect type
+    function getPrestigeUpgradeMultiplier(effectType) {
+        return prestigeUpgrades
+            .filter(upgrade => upgrade.bought && upgrade.effect.type === effectType)
+            .reduce((multiplier, upgrade) => multiplier * upgrade.effect.value, getPrestigeMultiplier());
+    }
+
+    function getClickMultiplier() {
+        return getPrestigeUpgradeMultiplier('prestige-ipc-multiplier') * getAchievementBonus('ipc-bonus') *
+            getBuffMultiplier('buff-ipc-multiplier');
+    }
+
+    function getAutoMultiplier() {
+        return getPrestigeUpgradeMultiplier('prestige-auto-multiplier') * getAchievementBonus('auto-bonus') *
+            getBuffMultiplier('buff-auto-multiplier');
+    }
+
+    // Rebirth unlocks once the final idea format ("Timeless Masterpiece") is reachable
+    function canRebirth() {
+        return ideaCount.gte(ideaFormats[ideaFormats.length - 1].threshold);
+    }
+
+    function calculatePrestigeGain() {
+        return canRebirth() ? ideaCount.div(PRESTIGE_DIVISOR).sqrt().floor().toNumber() : 0;
+    }
+
+    function rebirth() {
+        const gain = calculatePrestigeGain();
+        if (gain <= 0) return;
+        if (!confirm(`Trade ${formatNumber(ideaCount)} ideas for ${formatNumber(gain)} inspiration? Your ideas, credits and advantages will be reset.`)) {
+            return;
+        }
+
+        inspiration += gain;
+        totalInspiration += gain;
+        rebirthCount++;
+
+        // Reset the current run back to its starting values
+        if (autoClickerInterval) clearInterval(autoClickerInterval);
+        autoClickerInterval = null;
+        stopCurrentSong();
+        advantages.forEach(adv => {
+            if (adv.level > 0 && isCosmetic(adv)) {
+                showCosmetic(adv.effect, false);
+            }
+            adv.level = 0;
+        });
+        loadout = [];
+        ideaCount = BigNum.ZERO;
+        credits = BigNum.ZERO;
+        ideasSinceLastCredit = BigNum.ZERO;
+        currentFormatIndex = 0;
+        runStartedAt = Date.now();
+        clickGovernor.reset(); // Each run earns its own fair-play marker
+        formatTimes = {};
+
+        // Apply prestige upgrades that shape the start of a run
+        prestigeUpgrades.forEach(upgrade => {
+            if (!upgrade.bought) return;
+            if (upgrade.effect.type === 'starting-credits') {
+                credits = credits.add(upgrade.effect.value);
+            }
+            if (upgrade.effect.type === 'keep-advantage') {
+                const keptAdv = advantages.find(adv => adv.id === upgrade.effect.value);
+                if (keptAdv) {
+                    keptAdv.level = 1;
+                    applyAdvantageEffect(keptAdv.effect);
+                }
+            }
+        });
+        recalculateStats();
+
+        saveGameState();
+        renderShop();
+        renderJukebox();
+        renderCosmetics();
+        updateDisplay();
+        showMessage(`Reborn! You gained ${formatNumber(gain)} inspiration.`, 'var(--success-color)');
+        playSound('success');
+        checkAchievements();
+    }
+
+    function renderPrestigeShop() {
+        prestigeUpgradeList.innerHTML = ''; // Clear existing list
+        prestigeUpgrades.forEach(upgrade => {
+            const itemDiv = document.createElement('div');
+            itemDiv.classList.add('advantage-item', 'prestige-item');
+            itemDiv.innerHTML = `
+                <h3>${upgrade.name}</h3>
+                <p>${upgrade.description}</p>
+                <div class="cost">Cost: ${upgrade.cost} Inspiration</div>
+                <button class="buy-btn" data-id="${upgrade.id}" ${upgrade.bought ? 'disabled' : ''}>
+                    ${upgrade.bought ? 'Purchased!' : 'Buy'}
+                </button>
+            `;
+            prestigeUpgradeList.appendChild(itemDiv);
+            upgrade.element = itemDiv.querySelector('.buy-btn');
+            upgrade.element.addEventListener('click', () => buyPrestigeUpgrade(upgrade.id));
+        });
+        updatePrestigeDisplay();
+    }
+
+    function buyPrestigeUpgrade(id) {
+        const upgrade = prestigeUpgrades.find(u => u.id === id);
+        if (upgrade && !upgrade.bought && inspiration >= upgrade.cost) {
+            inspiration -= upgrade.cost;
+            upgrade.bought = true;
+            showMessage(`"${upgrade.name}" unlocked for all future runs!`, 'var(--success-color)');
+            playSound('purchase');
+            saveGameState();
+            updateDisplay();
+        } else if (upgrade && inspiration < upgrade.cost) {
+            showMessage(`Not enough inspiration for "${upgrade.name}"!`, 'var(--error-color)');
+            playSound('error');
+        }
+    }
+
+    function updatePrestigeDisplay() {
+        inspirationCountDisplay.textContent = formatNumber(inspiration);
+        const prestigeMultiplier = getPrestigeMultiplier();
+        prestigeMultiplierDisplay.textContent = `x${prestigeMultiplier < 1000 ? prestigeMultiplier.toFixed(1) : formatNumber(prestigeMultiplier)}`;
+
+        const gain = calculatePrestigeGain();
+        rebirthBtn.disabled = gain <= 0;
+        prestigeGainDisplay.textContent = gain > 0
+            ? `Rebirth now for +${formatNumber(gain)} inspiration.`
+            : `Reach "${ideaFormats[ideaFormats.length - 1].name}" to be reborn.`;
+
+        prestigeUpgrades.forEach(upgrade => {
+            if (upgrade.element) {
+                if (upgrade.bought) {
+                    upgrade.element.disabled = true;
+                    upgrade.element.textContent = 'Purchased!';
+                } else {
+                    upgrade.element.disabled = inspiration < upgrade.cost;
+                }
+            }
+        });
+    }
+
+    // --- Achievement Functions ---
+    // Combined multiplier from the rewards of every unlocked achievement of the given type
+    function getAchievementBonus(rewardType) {
+        return achievements
+            .filter(achievement => achievement.unlocked && achievement.reward && achievement.reward.type === rewardType)
+            .reduce((multiplier, achievement) => multiplier + achievement.reward.value, 1);
+    }
+
+    function describeReward(reward) {
+        const percent = Math.round(reward.value * 100);
+        return reward.type === 'ipc-bonus'
+            ? `Reward: +${percent}% ideas per click`
+            : `Reward: +${percent}% auto-idea output`;
+    }
+
+    // Unlock every achievement whose condition is now met and announce them
+    function checkAchievements() {
+        const newlyUnlocked = achievements.filter(achievement =>
+            !achievement.unlocked && achievementConditions[achievement.condition.type](achievement.condition)
+        );
+        if (newlyUnlocked.length === 0) return;
+
+        newlyUnlocked.forEach(achievement => {
+            achievement.unlocked = true;
+        });
+        const names = newlyUnlocked.map(achievement => `"${achievement.name}"`).join(', ');
+        showMessage(`Achievement unlocked: ${names}!`, 'var(--primary-color-light)');
+        playSound('success');
+        renderAchievements();
+        saveGameState();
+    }
+
+    function renderAchievements() {
+        achievementList.innerHTML = ''; // Clear existing list
+        achievements.forEach(achievement => {
+            const itemDiv = document.createElement('div');
+            itemDiv.classList.add('achievement-item');
+            itemDiv.classList.toggle('unlocked', achievement.unlocked);
+            itemDiv.innerHTML = `
+                <h3>${achievement.unlocked ? '🏆' : '🔒'} ${achievement.name}</h3>
+                <p>${achievement.description}</p>
+                ${achievement.reward ? `<div class="reward">${describeReward(achievement.reward)}</div>` : ''}
+            `;
+            achievementList.appendChild(itemDiv);
+        });
+        const unlockedCount = achievements.filter(achievement => achievement.unlocked).length;
+        achievementProgress.textContent = `${unlockedCount} / ${achievements.length} unlocked`;
+    }
+
+    // --- Statistics ---
+    // Remember how far into the run every newly reached format was unlocked
+    function recordFormatTimes(oldIndex, newIndex) {
+        if (!runStartedAt) return; // Runs from before this was tracked have no start time
+        const elapsed = Date.now() - runStartedAt;
+        for (let i = oldIndex + 1; i <= newIndex; i++) {
+            const formatName = ideaFormats[i].name;
+            if (formatTimes[formatName] !== undefined) continue;
+            formatTimes[formatName] = elapsed;
+            if (bestFormatTimes[formatName] === undefined || elapsed < bestFormatTimes[formatName]) {
+                bestFormatTimes[formatName] = elapsed;
+            }
+        }
+    }
+
+    // Runs once a second: counts play time and samples ideas per second for the sparkline
+    function tickStats() {
+        secondsPlayed++;
+        ideasPerSecondHistory.push(ideasThisSecond);
+        if (ideasPerSecondHistory.length > IPS_HISTORY_SECONDS) {
+            ideasPerSecondHistory.shift();
+        }
+        ideasThisSecond = BigNum.ZERO;
+        renderStats();
+    }
+
+    function renderStats() {
+        const stats = [
+            ['Lifetime Ideas', formatNumber(lifetimeIdeas)],
+            ['Manual Clicks', formatNumber(totalClicks)],
+            ['Ideas from Clicks', formatNumber(manualIdeas)],
+            ['Auto-Generated Ideas', formatNumber(autoIdeas)],
+            ['Credits Earned', formatNumber(creditsEarned)],
+            ['Credits Spent', formatNumber(creditsSpent)],
+            ['Time Played', formatDuration(secondsPlayed)],
+            ['Ideas per Click', formatNumber(ideasPerClick.mul(getClickMultiplier()))],
+            ['Auto-Ideas per Second', formatNumber(new BigNum(getAutoIdeasPerSecond()).mul(getAutoMultiplier()))],
+            ['Ideas per Credit', creditThreshold],
+            ['Rebirths', rebirthCount],
+            ['Fair Play', describeFairPlay()]
+        ];
+        statsList.innerHTML = stats.map(([label, value]) => `<dt>${label}</dt><dd>${value}</dd>`).join('');
+
+        formatTimesList.innerHTML = ideaFormats.slice(1).map(format => {
+            const runTime = formatTimes[format.name];
+            const bestTime = bestFormatTimes[format.name];
+            return `
+                <tr>
+                    <td>${format.name}</td>
+                    <td>${runTime !== undefined ? formatDuration(runTime / 1000) : '—'}</td>
+                    <td>${bestTime !== undefined ? formatDuration(bestTime / 1000) : '—'}</td>
+                </tr>
+            `;
+        }).join('');
+
+        renderSparkline();
+    }
+
+    function describeFairPlay() {
+        if (!clickGovernor.flagged) return 'Verified this run';
+        const reasons = clickGovernor.reasons.map(reason => ClickGovernor.REASON_LABELS[reason] || reason);
+        return `Flagged (${reasons.join(', ')})`;
+    }
+
+    // Draw the last minute of ideas per second as an SVG polyline
+    function renderSparkline() {
+        const width = 300;
+        const height = 60;
+        const peak = ideasPerSecondHistory.reduce((max, value) => BigNum.max(max, value), new BigNum(1));
+        const step = width / (IPS_HISTORY_SECONDS - 1);
+        const offset = IPS_HISTORY_SECONDS - ideasPerSecondHistory.length; // Right-align recent samples
+        const points = ideasPerSecondHistory
+            .map((value, i) => `${((offset + i) * step).toFixed(1)},${(height - value.div(peak).toNumber() * height).toFixed(1)}`)
+            .join(' ');
+        ipsSparkline.innerHTML = `<polyline points="${points}" />`;
+
+        const lastMinuteTotal = ideasPerSecondHistory.reduce((total, value) => total.add(value), BigNum.ZERO);
+        const average = ideasPerSecondHistory.length ? lastMinuteTotal.div(ideasPerSecondHistory.length) : BigNum.ZERO;
+        const averageText = average.lt(1000) ? average.toNumber().toFixed(1) : formatNumber(average);
+        ipsCurrent.textContent = `${averageText} ideas/sec over the last minute`;
+    }
+
+    // --- Golden Idea Functions ---
+    function getBuffMultiplier(effectType) {
+        return activeBuffs
+            .filter(buff => buff.effect.type === effectType)
+            .reduce((multiplier, buff) => multiplier * buff.effect.value, 1);
+    }
+
+    function scheduleGoldenIdea() {
+        if (goldenEvents.length === 0) return; // This content has no golden events
+        const delay = GOLDEN_MIN_DELAY + Math.random() * (GOLDEN_MAX_DELAY - GOLDEN_MIN_DELAY);
+        setTimeout(spawnGoldenIdea, delay);
+    }
+
+    // Float a clickable golden idea across the click area
+    function spawnGoldenIdea() {
+        const goldenIdea = document.createElement('button');
+        goldenIdea.classList.add('golden-idea');
+        goldenIdea.setAttribute('aria-label', 'Catch the golden idea');
+        goldenIdea.textContent = '💡';
+        goldenIdea.style.top = `${10 + Math.random() * 70}%`;
+        goldenIdea.style.animationDuration = `${GOLDEN_LIFETIME}ms`;
+        sparkContainer.appendChild(goldenIdea);
+        announce('A golden idea appeared! Catch it before it fades.');
+
+        goldenIdea.addEventListener('click', () => {
+            goldenIdea.remove();
+            triggerGoldenEvent(pickGoldenEvent());
+        });
+        goldenIdea.addEventListener('animationend', () => {
+            goldenIdea.remove();
+        });
+        scheduleGoldenIdea();
+    }
+
+    function pickGoldenEvent() {
+        const totalWeight = goldenEvents.reduce((total, event) => total + event.weight, 0);
+        let roll = Math.random() * totalWeight;
+        return goldenEvents.find(event => (roll -= event.weight) < 0) || goldenEvents[0];
+    }
+
+    function triggerGoldenEvent(event) {
+        if (event.effect.type === 'credit-windfall') {
+            const windfallIdeas = ideasPerClick.mul(getClickMultiplier()).mul(event.effect.value);
+            const windfall = BigNum.max(10, windfallIdeas.div(creditThreshold).floor());
+            credits = credits.add(windfall);
+            creditsEarned = creditsEarned.add(windfall);
+            showMessage(`${event.name}! +${formatNumber(windfall)} credits.`, 'var(--highlight-color)');
+            saveGameState();
+        } else {
+            addBuff(event);
+            showMessage(`${event.name}! x${event.effect.value} for ${event.duration} seconds.`, 'var(--highlight-color)');
+        }
+        messageDisplay.style.color = 'var(--text-color-light)'; // Keep the text readable on the yellow highlight
+        playSound('success');
+        updateDisplay();
+    }
+
+    // Start (or restart) a timed buff; catching the same buff again refreshes its timer
+    function addBuff(event) {
+        removeBuff(event.id);
+        const buff = {
+            id: event.id,
+            name: event.name,
+            effect: event.effect,
+            endsAt: Date.now() + event.duration * 1000,
+            timeoutId: setTimeout(() => {
+                removeBuff(event.id);
+                announce(`${event.name} has worn off.`); // The start is announced by triggerGoldenEvent's message
+            }, event.duration * 1000)
+        };
+        activeBuffs.push(buff);
+        if (!buffCountdownInterval) {
+            buffCountdownInterval = setInterval(renderBuffs, 250);
+        }
+        renderBuffs();
+    }
+
+    function removeBuff(id) {
+        const buff = activeBuffs.find(b => b.id === id);
+        if (!buff) return;
+        clearTimeout(buff.timeoutId);
+        activeBuffs = activeBuffs.filter(b => b.id !== id);
+        if (activeBuffs.length === 0) {
+            clearInterval(buffCountdownInterval);
+            buffCountdownInterval = null;
+        }
+        renderBuffs();
+    }
+
+    function renderBuffs() {
+        buffList.innerHTML = '';
+        activeBuffs.forEach(buff => {
+            const secondsLeft = Math.max(0, Math.ceil((buff.endsAt - Date.now()) / 1000));
+            const buffItem = document.createElement('li');
+            buffItem.classList.add('buff-item');
+            buffItem.textContent = `${buff.name} x${buff.effect.value} (${secondsLeft}s)`;
+            buffList.appendChild(buffItem);
+        });
+    }
+
+    // --- Audio Settings & Jukebox ---
+    function renderAudioSettings() {
+        volumeSliders.forEach(slider => {
+            const percent = Math.round(audioSettings[slider.dataset.channel] * 100);
+            slider.value = percent;
+            slider.nextElementSibling.textContent = `${percent}%`;
+        });
+        muteBtn.textContent = audioSettings.muted ? 'Unmute' : 'Mute';
+        muteBtn.setAttribute('aria-pressed', String(audioSettings.muted));
+    }
+
+    function changeVolume(event) {
+        const slider = event.target;
+        audioSettings[slider.dataset.channel] = Number(slider.value) / 100;
+        applyAudioSettings();
+        renderAudioSettings();
+    }
+
+    function toggleMute() {
+        audioSettings.muted = !audioSettings.muted;
+        applyAudioSettings();
+        renderAudioSettings();
+        saveGameState();
+    }
+
+    // Lists the songs bought in the shop so the player can switch between them
+    function renderJukebox() {
+        const ownedSongs = advantages.filter(adv => adv.level > 0 && adv.effect.type === 'play-song');
+        jukeboxList.innerHTML = '';
+        jukeboxEmpty.hidden = ownedSongs.length > 0;
+        ownedSongs.forEach(adv => {
+            const songName = adv.effect.value;
+            const isCurrent = songName === currentSong;
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.className = 'jukebox-song';
+            button.classList.toggle('playing', isCurrent && !musicPaused);
+            button.setAttribute('aria-pressed', String(isCurrent));
+            button.textContent = adv.name;
+            if (unavailableSounds.has(songName)) {
+                button.disabled = true;
+                button.textContent += ' (unavailable)';
+            }
+            button.addEventListener('click', () => {
+                if (isCurrent) {
+                    toggleMusic();
+                } else {
+                    playSong(songName);
+                }
+                saveGameState();
+            });
+            item.appendChild(button);
+            jukeboxList.appendChild(item);
+        });
+        musicToggleBtn.disabled = !currentSong;
+        musicToggleBtn.textContent = currentSong && musicPaused ? 'Resume' : 'Pause';
+    }
+
+    function toggleMusic() {
+        if (musicPaused) {
+            resumeMusic();
+        } else {
+            pauseMusic();
+        }
+    }
+
+    // --- Cosmetics Inventory ---
+    function isCosmetic(adv) {
+        return COSMETIC_EFFECT_TYPES.includes(adv.effect.type);
+    }
+
+    function getCosmeticSlot(adv) {
+        return adv.slot || adv.effect.type;
+    }
+
+    // Visual classes go on the page body, skins on the idea format display
+    function showCosmetic(effect, visible) {
+        if (visible) {
+            applyAdvantageEffect(effect);
+        } else if (effect.type === 'add-visual-class') {
+            applyAdvantageEffect({ type: 'remove-visual-class', value: effect.value });
+        } else {
+            formatDisplay.classList.remove(effect.value);
+        }
+    }
+
+    function setCosmeticActive(adv, active) {
+        if (active) {
+            // Switch off whatever already fills this cosmetic's slot
+            advantages
+                .filter(other => other !== adv && loadout.includes(other.id) && getCosmeticSlot(other) === getCosmeticSlot(adv))
+                .forEach(other => setCosmeticActive(other, false));
+            if (!loadout.includes(adv.id)) loadout.push(adv.id);
+        } else {
+            loadout = loadout.filter(id => id !== adv.id);
+        }
+        showCosmetic(adv.effect, active);
+    }
+
+    function toggleCosmetic(adv) {
+        endPreview();
+        setCosmeticActive(adv, !loadout.includes(adv.id));
+        renderCosmetics();
+        saveGameState();
+    }
+
+    // Try a cosmetic on for a few seconds before buying it
+    function previewCosmetic(adv) {
+        endPreview();
+        advantages
+            .filter(other => loadout.includes(other.id) && getCosmeticSlot(other) === getCosmeticSlot(adv))
+            .forEach(other => showCosmetic(other.effect, false));
+        showCosmetic(adv.effect, true);
+        showMessage(`Previewing "${adv.name}" for ${PREVIEW_SECONDS} seconds`, 'var(--primary-color-light)');
+        previewTimeout = setTimeout(endPreview, PREVIEW_SECONDS * 1000);
+    }
+
+    // Put the saved loadout back after a preview
+    function endPreview() {
+        if (!previewTimeout) return;
+        clearTimeout(previewTimeout);
+        previewTimeout = null;
+        advantages.filter(isCosmetic).forEach(adv => showCosmetic(adv.effect, false));
+        advantages
+            .filter(adv => loadout.includes(adv.id))
+            .forEach(adv => showCosmetic(adv.effect, true));
+    }
+
+    function renderCosmetics() {
+        const ownedCosmetics = advantages.filter(adv => adv.level > 0 && isCosmetic(adv));
+        cosmeticList.innerHTML = '';
+        cosmeticEmpty.hidden = ownedCosmetics.length > 0;
+        ownedCosmetics.forEach(adv => {
+            const active = loadout.includes(adv.id);
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.className = 'cosmetic-toggle';
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', String(active));
+            button.textContent = `${adv.name}: ${active ? 'On' : 'Off'}`;
+            button.addEventListener('click', () => toggleCosmetic(adv));
+            item.appendChild(button);
+            cosmeticList.appendChild(item);
+        });
+    }
+
+    // --- Keyboard & Accessibility ---
+    const SHOP_SHORTCUT_KEYS = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '0'];
+
+    // Read a message out through the live region. Clearing it first makes repeats announce again.
+    function announce(text) {
+        announcer.textContent = '';
+        setTimeout(() => {
+            announcer.textContent = text;
+        }, 50);
+    }
+
+    function handleKeyDown(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        // Leave typing alone, and let Space/Enter activate a focused button or link natively;
+        // other keys still work there, e.g. after the click button keeps focus from a mouse click
+        if (e.target.closest('input, textarea, select, [contenteditable]')) return;
+        const isActivationKey = e.key === ' ' || e.code === 'Space' || e.key === 'Enter';
+        if (isActivationKey && e.target.closest('button, a')) return;
+        if (!offlineSummary.hidden) return;
+
+        if (e.key === ' ' || e.code === 'Space') {
+            e.preventDefault(); // Don't scroll the page
+            if (!e.repeat) handleClick(e); // Holding the key down is not a click per press
+            return;
+        }
+        const shopIndex = SHOP_SHORTCUT_KEYS.indexOf(e.key);
+        if (shopIndex !== -1 && advantages[shopIndex] && !e.repeat) {
+            const adv = advantages[shopIndex];
+            if (isMaxLevel(adv)) {
+                showMessage(`"${adv.name}" is already ${adv.maxLevel > 1 ? 'maxed' : 'owned'}.`, 'var(--secondary-color-light)');
+            } else {
+                buyAdvantage(adv.id);
+            }
+        }
+    }
+
+    function applyReducedMotion() {
+        document.body.classList.toggle('reduced-motion', reducedMotion);
+        reducedMotionBtn.setAttribute('aria-pressed', String(reducedMotion));
+        if (reducedMotion) {
+            sparkContainer.querySelectorAll('.spark').forEach(spark => spark.remove());
+        }
+    }
+
+    function toggleReducedMotion() {
+        reducedMotion = !reducedMotion;
+        applyReducedMotion();
+        saveGameState();
+    }
+
+    // --- Number Format Setting ---
+    function changeNumberFormat() {
+        numberFormat = numberFormatSelect.value;
+        updateDisplay();
+        renderStats();
+        saveGameState();
+    }
+
     // --- Dark Mode Toggle ---
+    // Dark mode is shared with the portal and the other games (see ../site-chrome.js)
     function toggleDarkMode() {
-        document.body.classList.toggle('dark-mode');
-        const isDarkMode = document.body.classList.contains('dark-mode');
-        localStorage.setItem('darkMode', isDarkMode);
-        toggleDarkBtn.setAttribute('aria-pressed', isDarkMode);
+        SiteChrome.setDarkMode(!SiteChrome.isDarkMode());
+    }
+
+    function renderDarkModeButton() {
+        toggleDarkBtn.setAttribute('aria-pressed', String(SiteChrome.isDarkMode()));
     }
 
     // --- Initialization ---
@@ -456,19 +1874,67 @@ document.addEventListener('DOMContentLoaded', () => {
     document.head.appendChild(style);
 
 
-    // Initial setup
-    loadGameState(); // Load state first
-    updateDisplay(); // Then update display based on loaded state
-    renderShop(); // Render shop after loading advantages (important for button references)
-
-    // Apply dark mode preference on load
-    if (localStorage.getItem('darkMode') === 'true') {
-        document.body.classList.add('dark-mode');
-        toggleDarkBtn.setAttribute('aria-pressed', 'true');
+    // Initial setup, once the content file has loaded
+    function startGame(name, content) {
+        applyContent(name, content);
+        const savedGame = readSave();
+        loadPrestigeState(savedGame.prestige); // Prestige multipliers must be known before any ideas are earned
+        loadAchievementState(savedGame);
+        loadSettings(savedGame);
+        loadGameState(savedGame); // Load state first
+        updateDisplay(); // Then update display based on loaded state
+        renderShop(); // Render shop after loading advantages (important for button references)
+        renderJukebox();
+        renderCosmetics();
+        renderPrestigeShop();
+        renderAchievements();
+        checkAchievements(); // Offline progress may have met new conditions
+        scheduleGoldenIdea();
+        renderStats();
+        setInterval(tickStats, 1000);
+        addGameListeners();
     }
 
+    // Site-wide preferences: SiteChrome applies dark mode itself; the button and the audio follow it
+    renderDarkModeButton();
+    SiteChrome.onChange(() => {
+        renderDarkModeButton();
+        applyAudioSettings();
+    });
+
     // --- Event Listeners ---
-    clickBtn.addEventListener('click', handleClick);
     toggleDarkBtn.addEventListener('click', toggleDarkMode);
-    restartBtn.addEventListener('click', resetGame);
+
+    // Game listeners wait for the content so nothing can save a half-initialized game
+    function addGameListeners() {
+        clickBtn.addEventListener('click', handleClick);
+        document.addEventListener('keydown', handleKeyDown);
+        reducedMotionBtn.addEventListener('click', toggleReducedMotion);
+        restartBtn.addEventListener('click', resetGame);
+        rebirthBtn.addEventListener('click', rebirth);
+        numberFormatSelect.addEventListener('change', changeNumberFormat);
+        offlineSummaryClose.addEventListener('click', () => {
+            offlineSummary.hidden = true;
+        });
+        exportSaveBtn.addEventListener('click', exportSave);
+        downloadSaveBtn.addEventListener('click', downloadSave);
+        importSaveBtn.addEventListener('click', () => importSave(saveTextArea.value));
+        importFileBtn.addEventListener('click', () => importSaveFileInput.click()); // Opens the file picker
+        importSaveFileInput.addEventListener('change', importSaveFile);
+        volumeSliders.forEach(slider => {
+            slider.addEventListener('input', changeVolume);
+            slider.addEventListener('change', saveGameState); // Save once the slider is released
+        });
+        muteBtn.addEventListener('click', toggleMute);
+        musicToggleBtn.addEventListener('click', () => {
+            toggleMusic();
+            saveGameState();
+        });
+        addEventListener('beforeunload', saveGameState); // Keep `lastSeen` accurate for offline progress
+    }
+
+    const requestedContent = getContentName();
+    loadContent(requestedContent)
+        .then(content => startGame(requestedContent, content))
+        .catch(showContentError);
 });
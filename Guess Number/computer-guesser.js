@@ -0,0 +1,107 @@
+// --- ComputerGuesser: the computer's side of reverse mode ---
+// The player thinks of a number and answers each guess with 'higher', 'lower' or 'correct'.
+// Every answer narrows the range still possible; if it becomes empty, the answers contradict
+// each other and findContradiction() names the two that clash.
+// Has no DOM dependencies, so strategies can be tried out headless.
+class ComputerGuesser {
+    /**
+     * @param {number} min - Lowest number the player may have picked.
+     * @param {number} max - Highest number the player may have picked.
+     * @param {string} strategy - A key of ComputerGuesser.STRATEGIES.
+     */
+    constructor(min, max, strategy = 'binary') {
+        if (!ComputerGuesser.STRATEGIES[strategy]) {
+            throw new Error(`Unknown guessing strategy "${strategy}".`);
+        }
+        this.min = min;
+        this.max = max;
+        this.strategy = strategy;
+        this.low = min; // Smallest number still possible
+        this.high = max; // Largest number still possible
+        this.answers = []; // { guess, answer } for every answered guess
+        this.lastGuess = null;
+    }
+
+    /**
+     * Picks the next guess inside the range still possible.
+     * @returns {number} The guess.
+     */
+    nextGuess() {
+        switch (this.strategy) {
+            case 'random':
+                this.lastGuess = this.randomBetween(this.low, this.high);
+                break;
+            case 'human':
+                this.lastGuess = this.guessLikeAHuman();
+                break;
+            default:
+                this.lastGuess = Math.floor((this.low + this.high) / 2);
+        }
+        return this.lastGuess;
+    }
+
+    /**
+     * Applies the player's answer to the last guess.
+     * @param {string} answer - 'higher', 'lower' or 'correct'.
+     * @returns {string} 'correct', 'continue', or 'contradiction' when no number fits every answer.
+     */
+    answer(answer) {
+        this.answers.push({ guess: this.lastGuess, answer });
+        if (answer === 'correct') return 'correct';
+        if (answer === 'higher') {
+            this.low = Math.max(this.low, this.lastGuess + 1);
+        } else {
+            this.high = Math.min(this.high, this.lastGuess - 1);
+        }
+        return this.low > this.high ? 'contradiction' : 'continue';
+    }
+
+    /**
+     * Finds the tightest pair of answers that cannot both be true.
+     * A null bound means the clash is with the edge of the range instead.
+     * @returns {{higherThan: number|null, lowerThan: number|null}} The clashing answers.
+     */
+    findContradiction() {
+        const higher = this.answers.filter(entry => entry.answer === 'higher').map(entry => entry.guess);
+        const lower = this.answers.filter(entry => entry.answer === 'lower').map(entry => entry.guess);
+        const higherThan = higher.length ? Math.max(...higher) : null;
+        const lowerThan = lower.length ? Math.min(...lower) : null;
+        if (higherThan !== null && higherThan >= this.max) return { higherThan, lowerThan: null };
+        if (lowerThan !== null && lowerThan <= this.min) return { higherThan: null, lowerThan };
+        return { higherThan, lowerThan };
+    }
+
+    /**
+     * @param {number} low - Inclusive lower bound.
+     * @param {number} high - Inclusive upper bound.
+     * @returns {number} A random whole number between the bounds.
+     */
+    randomBetween(low, high) {
+        return Math.floor(Math.random() * (high - low + 1)) + low;
+    }
+
+    /**
+     * Aims near the middle but not exactly at it, and prefers round numbers like people do.
+     * @returns {number} The guess.
+     */
+    guessLikeAHuman() {
+        const span = this.high - this.low;
+        const wobble = (Math.random() - 0.5) * span * 0.5;
+        let guess = Math.round((this.low + this.high) / 2 + wobble);
+        for (const step of [10, 5]) {
+            const rounded = Math.round(guess / step) * step;
+            if (span >= step * 2 && rounded >= this.low && rounded <= this.high) {
+                guess = rounded;
+                break;
+            }
+        }
+        return Math.min(this.high, Math.max(this.low, guess));
+    }
+}
+
+// Strategies the player can choose from, with their labels
+ComputerGuesser.STRATEGIES = {
+    binary: 'Binary search (splits the range every time)',
+    random: 'Random pick (anything still possible)',
+    human: 'Human-like hunch (round numbers, roughly halfway)'
+};
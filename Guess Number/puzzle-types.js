@@ -0,0 +1,267 @@
+// --- Puzzle Types: what the player is guessing ---
+// Every puzzle keeps its secret and guesses as whole numbers inside a range, so rounds, saves,
+// scoring and the history work the same for all of them. Each type decides how those numbers
+// look (format), which answers it accepts (parseGuess), how a guess compares to the secret
+// (compare) and how misses, wins and losses are worded.
+// Ordered puzzles answer "lower" or "higher" and support hot/cold hints and the number line.
+// Has no DOM dependencies, so new types can be tried out headless.
+
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const CODE_LENGTH = 4;
+
+// Events for "Guess the Year". Each year appears once, so a secret year finds its event again.
+const HISTORIC_EVENTS = [
+    { year: 1066, event: 'The Battle of Hastings' },
+    { year: 1492, event: 'Columbus reaches the Americas' },
+    { year: 1519, event: "Magellan's fleet sets sail around the world" },
+    { year: 1610, event: "Galileo spots Jupiter's moons" },
+    { year: 1687, event: "Newton publishes his laws of motion" },
+    { year: 1776, event: 'The US Declaration of Independence' },
+    { year: 1789, event: 'The storming of the Bastille' },
+    { year: 1815, event: 'The Battle of Waterloo' },
+    { year: 1876, event: 'Bell patents the telephone' },
+    { year: 1903, event: "The Wright brothers' first powered flight" },
+    { year: 1912, event: 'The Titanic sinks' },
+    { year: 1928, event: 'Fleming discovers penicillin' },
+    { year: 1953, event: 'The double helix of DNA is described' },
+    { year: 1961, event: 'Yuri Gagarin becomes the first person in space' },
+    { year: 1969, event: 'Humans first walk on the Moon' },
+    { year: 1989, event: 'The Berlin Wall falls' },
+    { year: 1991, event: 'The World Wide Web goes public' }
+];
+
+/**
+ * @param {{min: number, max: number}} range - Inclusive bounds.
+ * @param {function(): number} [random] - Returns numbers in [0, 1), like Math.random.
+ * @returns {number} A random whole number inside the range.
+ */
+function randomInRange(range, random = Math.random) {
+    return Math.floor(random() * (range.max - range.min + 1)) + range.min;
+}
+
+/**
+ * Reads a whole number typed by the player.
+ * @param {string} text - The raw input.
+ * @param {{min: number, max: number}} range - Accepted bounds.
+ * @returns {number|null} The number, or null if it is not a whole number inside the range.
+ */
+function parseWholeNumber(text, range) {
+    const trimmed = String(text).trim();
+    if (!/^-?\d+$/.test(trimmed)) return null;
+    const value = Number(trimmed);
+    return value >= range.min && value <= range.max ? value : null;
+}
+
+/**
+ * Compares two values where only higher or lower matters.
+ * @param {number} guess - The guessed value.
+ * @param {number} secret - The secret value.
+ * @returns {{direction: string, distance: number}} 'low', 'high' or 'correct', and how far off the guess is.
+ */
+function compareOrdered(guess, secret) {
+    let direction = 'correct';
+    if (guess < secret) direction = 'low';
+    if (guess > secret) direction = 'high';
+    return { direction, distance: Math.abs(guess - secret) };
+}
+
+/**
+ * Mastermind scoring: digits in the right place, and right digits in the wrong place.
+ * @param {number} guess - The guessed code.
+ * @param {number} secret - The secret code.
+ * @returns {{direction: string, exact: number, partial: number}} 'correct' or 'miss', with the peg counts.
+ */
+function compareCode(guess, secret) {
+    const guessDigits = formatCode(guess).split('');
+    const secretDigits = formatCode(secret).split('');
+    let exact = 0;
+    const unmatchedSecret = [];
+    const unmatchedGuess = [];
+    guessDigits.forEach((digit, index) => {
+        if (digit === secretDigits[index]) {
+            exact++;
+        } else {
+            unmatchedSecret.push(secretDigits[index]);
+            unmatchedGuess.push(digit);
+        }
+    });
+    let partial = 0;
+    unmatchedGuess.forEach(digit => {
+        const found = unmatchedSecret.indexOf(digit);
+        if (found !== -1) {
+            partial++;
+            unmatchedSecret.splice(found, 1); // Each secret digit can only be matched once
+        }
+    });
+    return { direction: exact === CODE_LENGTH ? 'correct' : 'miss', exact, partial };
+}
+
+/**
+ * @param {number} value - A code between 0 and 9999.
+ * @returns {string} The code with leading zeros, e.g. '0427'.
+ */
+function formatCode(value) {
+    return String(value).padStart(CODE_LENGTH, '0');
+}
+
+/**
+ * @param {number} count - How many.
+ * @param {string} one - Singular word.
+ * @param {string} many - Plural word.
+ * @returns {string} E.g. '1 try' or '3 tries'.
+ */
+function plural(count, one, many) {
+    return `${count} ${count === 1 ? one : many}`;
+}
+
+// Every puzzle type provides:
+//   label, ordered, usesDifficulty, inputMode, placeholder
+//   getRange(selectedRange)       Range and attempts for a round; only 'number' follows the difficulty
+//   createSecret(range)           A random secret for a new round
+//   format(value)                 How a secret or guess is shown
+//   describeAnswer(range)         What a valid answer looks like, for prompts and warnings
+//   describe(range, secret)       { lead, highlight, tail } for the page subtitle; secret may be null
+//   parseGuess(text, range)       The typed answer as a value, or null if it is not valid
+//   compare(guess, secret)        Fields added to the history entry; direction 'correct' ends the round
+//   resultSymbol(entry)           Emoji for the history list
+//   missFeedback(entry)           { message, emoji } after a wrong guess
+//   winFeedback(secret, attempts) { message, emoji } when the secret is found
+//   loseFeedback(secret)          { message, emoji } when the attempts run out
+const PUZZLE_TYPES = {
+    number: {
+        label: 'Guess the Number',
+        ordered: true,
+        usesDifficulty: true,
+        inputMode: 'numeric',
+        placeholder: 'Enter your petal number',
+        getRange: selectedRange => ({ ...selectedRange }),
+        createSecret: range => randomInRange(range),
+        format: value => String(value),
+        describeAnswer: range => `a valid number between ${range.min} and ${range.max}`,
+        describe: range => ({
+            lead: "I'm holding a secret number, like a tiny seed, between",
+            highlight: `${range.min} and ${range.max}`,
+            tail: '. Can you help it bloom?'
+        }),
+        parseGuess: parseWholeNumber,
+        compare: compareOrdered,
+        resultSymbol: entry => ({ low: '⬆️', high: '⬇️', correct: '🌸' })[entry.direction],
+        missFeedback: entry => entry.direction === 'low'
+            ? { message: 'Too low! Your petal needs more sun. ⬆️', emoji: '🌱' } // Sprout emoji
+            : { message: 'Too high! That bloom is out of reach. ⬇️', emoji: '🌿' }, // Leaf emoji
+        winFeedback: (secret, attempts) => ({
+            message: `Magnificent! You guessed the secret bloom (${secret}) in ${attempts} tries! 🎉`,
+            emoji: '🌸' // Blooming flower emoji
+        }),
+        loseFeedback: secret => ({
+            message: `Oh dear! You've run out of attempts. The secret bloom was ${secret}. 🥀`,
+            emoji: '🍂' // Fading leaf emoji
+        })
+    },
+
+    year: {
+        label: 'Guess the Year',
+        ordered: true,
+        usesDifficulty: false,
+        inputMode: 'numeric',
+        placeholder: 'Enter a year',
+        getRange: () => ({ min: 1000, max: 2025, maxAttempts: 10 }),
+        createSecret: () => HISTORIC_EVENTS[Math.floor(Math.random() * HISTORIC_EVENTS.length)].year,
+        format: value => String(value),
+        describeAnswer: range => `a year between ${range.min} and ${range.max}`,
+        describe: (range, secret) => {
+            const known = HISTORIC_EVENTS.find(item => item.year === secret);
+            if (!known) {
+                return { lead: 'Guess the secret year between', highlight: `${range.min} and ${range.max}`, tail: '.' };
+            }
+            return { lead: 'In which year did this happen?', highlight: known.event, tail: ` (${range.min}–${range.max})` };
+        },
+        parseGuess: parseWholeNumber,
+        compare: compareOrdered,
+        resultSymbol: entry => ({ low: '⏩', high: '⏪', correct: '📜' })[entry.direction],
+        missFeedback: entry => entry.direction === 'low'
+            ? { message: 'Too early! History had moved on by then. ⏩', emoji: '🏺' }
+            : { message: 'Too late! It happened before that. ⏪', emoji: '🚀' },
+        winFeedback: (secret, attempts) => ({
+            message: `Spot on! It happened in ${secret}, and you got it in ${plural(attempts, 'try', 'tries')}! 🎉`,
+            emoji: '📜'
+        }),
+        loseFeedback: secret => ({
+            message: `Out of attempts! It happened in ${secret}. 📚`,
+            emoji: '⌛'
+        })
+    },
+
+    letter: {
+        label: 'Guess the Letter',
+        ordered: true,
+        usesDifficulty: false,
+        inputMode: 'text',
+        placeholder: 'Enter a letter',
+        // Letters are stored as their position in the alphabet, A = 0
+        getRange: () => ({ min: 0, max: ALPHABET.length - 1, maxAttempts: 5 }),
+        createSecret: range => randomInRange(range),
+        format: value => ALPHABET[value],
+        describeAnswer: () => 'a single letter from A to Z',
+        describe: () => ({ lead: "I'm thinking of a secret letter from", highlight: 'A to Z', tail: '. Which one is it?' }),
+        parseGuess: text => {
+            const trimmed = String(text).trim().toUpperCase();
+            return /^[A-Z]$/.test(trimmed) ? ALPHABET.indexOf(trimmed) : null;
+        },
+        compare: compareOrdered,
+        resultSymbol: entry => ({ low: '➡️', high: '⬅️', correct: '🔤' })[entry.direction],
+        missFeedback: entry => entry.direction === 'low'
+            ? { message: 'Too early in the alphabet! Head toward Z. ➡️', emoji: '🐜' }
+            : { message: 'Too far along! Head back toward A. ⬅️', emoji: '🦓' },
+        winFeedback: (secret, attempts) => ({
+            message: `Yes! The secret letter was ${ALPHABET[secret]}, found in ${plural(attempts, 'try', 'tries')}! 🎉`,
+            emoji: '🔤'
+        }),
+        loseFeedback: secret => ({
+            message: `Out of attempts! The secret letter was ${ALPHABET[secret]}. 🥀`,
+            emoji: '🔠'
+        })
+    },
+
+    code: {
+        label: 'Crack the Code',
+        ordered: false,
+        usesDifficulty: false,
+        inputMode: 'numeric',
+        placeholder: `Enter ${CODE_LENGTH} digits`,
+        // Any digits, repeats allowed: the codes 0000–9999
+        getRange: () => ({ min: 0, max: 10 ** CODE_LENGTH - 1, maxAttempts: 10 }),
+        createSecret: range => randomInRange(range),
+        format: formatCode,
+        describeAnswer: () => `a code of exactly ${CODE_LENGTH} digits`,
+        describe: () => ({
+            lead: 'Crack the secret',
+            highlight: `${CODE_LENGTH}-digit code`,
+            tail: '. 🎯 = right digit in the right place, 🔁 = right digit in the wrong place.'
+        }),
+        parseGuess: text => {
+            const trimmed = String(text).trim();
+            return new RegExp(`^\\d{${CODE_LENGTH}}$`).test(trimmed) ? Number(trimmed) : null;
+        },
+        compare: compareCode,
+        resultSymbol: entry => {
+            if (entry.direction === 'correct') return '🔓';
+            return '🎯'.repeat(entry.exact) + '🔁'.repeat(entry.partial) || '✖️';
+        },
+        missFeedback: entry => ({
+            message: `${plural(entry.exact, 'digit', 'digits')} in the right place 🎯, ${plural(entry.partial, 'digit', 'digits')} in the wrong place 🔁.`,
+            emoji: entry.exact + entry.partial === 0 ? '🔒' : '🔐'
+        }),
+        winFeedback: (secret, attempts) => ({
+            message: `Cracked it! The code was ${formatCode(secret)}, opened in ${plural(attempts, 'try', 'tries')}! 🎉`,
+            emoji: '🔓'
+        }),
+        loseFeedback: secret => ({
+            message: `The vault stays shut. The code was ${formatCode(secret)}. 🥀`,
+            emoji: '🔒'
+        })
+    }
+};
+
+// Loaded as a classic script by guess-number.html; script.js reads it from globalThis
+globalThis.PUZZLE_TYPES = PUZZLE_TYPES;
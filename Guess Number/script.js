@@ -1,9 +1,61 @@
 // --- Game State Variables ---
-let secretNumber; // The number the user needs to guess
+let secretNumber; // The number the user needs to guess; other puzzle types encode their secret as a number too
 let attempts;     // Counter for current attempts
-const MAX_ATTEMPTS = 10; // Maximum number of guesses allowed
-let guessHistory; // Array to store all guesses made
-let score;        // Player's score
+let guessHistory; // Guesses made this round: { attempt, guess, direction: 'low'|'high'|'correct', distance }
+                  // A guess that ran out of time in a match is { attempt, guess: null, direction: 'timeout', distance: null }
+let score = 0;    // Player's running total, kept across rounds
+const SAVE_KEY = 'guess-number.save'; // Round in progress, stored per player profile (see ../profiles.js)
+const SETTINGS_KEY = 'guess-number.settings'; // Chosen difficulty, also per profile
+const STATS_KEY = 'guess-number.stats'; // Score, streaks and bests, also per profile
+const DAILY_KEY = 'guess-number.daily'; // Daily challenge progress and streak, also per profile
+let stats; // Finished-game statistics, see defaultStats()
+
+// --- Difficulty Settings ---
+// Each difficulty sets the secret number's range and how many guesses are allowed
+const DIFFICULTIES = {
+    easy: { label: 'Easy', min: 1, max: 50, maxAttempts: 12 },
+    normal: { label: 'Normal', min: 1, max: 100, maxAttempts: 10 },
+    hard: { label: 'Hard', min: 1, max: 1000, maxAttempts: 10 }
+};
+// Bounds for a custom garden, so the numbers stay readable
+const CUSTOM_LIMITS = { lowest: -1000000, highest: 1000000, maxAttempts: 50 };
+let difficulty = 'normal'; // Key of DIFFICULTIES, or 'custom'
+let selectedRange = { ...DIFFICULTIES.normal }; // { min, max, maxAttempts } of the chosen difficulty
+let range = { ...selectedRange }; // Range of the current round; the daily challenge swaps in its own
+let puzzleType = 'number'; // Key of PUZZLE_TYPES (see puzzle-types.js)
+
+// --- Proximity Hints ---
+// How close a guess is, as a share of the range size; the first matching level applies
+const PROXIMITY_LEVELS = [
+    { maxShare: 0.02, label: 'Burning', emoji: '🔥' },
+    { maxShare: 0.07, label: 'Hot', emoji: '♨️' },
+    { maxShare: 0.15, label: 'Warm', emoji: '☀️' },
+    { maxShare: 0.3, label: 'Cool', emoji: '🌥️' },
+    { maxShare: Infinity, label: 'Cold', emoji: '❄️' }
+];
+let hintsEnabled = false; // Hot/cold hints and the number line
+
+// --- Match Mode State ---
+// Bonus points for solving a match round quickly, shrinking to nothing over `windowSeconds`
+const SPEED_BONUS = { maxPoints: 100, windowSeconds: 60 };
+let match = null; // { rounds, guessSeconds, round, results, points, roundStartedAt } while a match runs
+let guessTimerId = null; // Interval for the per-guess countdown
+let guessDeadline = 0; // When the current guess runs out of time (ms timestamp)
+
+// --- Duel Mode State ---
+// Two players on one device. In a 'shared' duel they race for the same secret; in a 'secrets'
+// duel each one types a hidden secret for the other first.
+let duel = null; // { variant, phase: 'secrets'|'playing'|'over', players, turn, secretSetter }
+const duelWins = [0, 0]; // Duels won by each seat during this visit
+
+// --- Daily Challenge State ---
+let dailyProgress; // Saved streak and today's round, see loadDailyProgress()
+
+// --- Reverse Mode State ---
+let gameMode = 'player'; // 'player' guesses the secret, 'daily' challenge, 'match', 'duel', or 'reverse': the computer guesses
+let strategy = 'binary'; // Key of ComputerGuesser.STRATEGIES
+let computerGuesser = null; // ComputerGuesser for the reverse round in progress
+let computerGuessCount = 0;
 
 // --- DOM Element References ---
 const guessInput = document.getElementById('guessInput');
@@ -13,21 +65,93 @@ const feedbackElement = document.getElementById('feedback');
 const emojiElement = document.getElementById('emoji');
 const historyListElement = document.getElementById('history');
 const scoreDisplayElement = document.getElementById('score');
+const streakElement = document.getElementById('streak');
+const bestStreakElement = document.getElementById('bestStreak');
+const bestAttemptsLabelElement = document.getElementById('bestAttemptsLabel');
+const bestAttemptsElement = document.getElementById('bestAttempts');
+const gamesPlayedElement = document.getElementById('gamesPlayed');
+const difficultySelect = document.getElementById('difficultySelect');
+const customRangeElement = document.getElementById('customRange');
+const customMinInput = document.getElementById('customMin');
+const customMaxInput = document.getElementById('customMax');
+const customAttemptsInput = document.getElementById('customAttempts');
+const applyCustomButton = document.getElementById('applyCustomButton');
+const rangeTextElement = document.getElementById('rangeText');
+const puzzleLeadElement = document.getElementById('puzzleLead');
+const puzzleTailElement = document.getElementById('puzzleTail');
+const puzzlePickerElement = document.getElementById('puzzlePicker');
+const puzzleSelect = document.getElementById('puzzleSelect');
+const hintToggle = document.getElementById('hintToggle');
+const numberLineElement = document.getElementById('numberLine');
+const possibleRangeElement = document.getElementById('possibleRange');
+const guessMarkersElement = document.getElementById('guessMarkers');
+const lineMinElement = document.getElementById('lineMin');
+const lineMaxElement = document.getElementById('lineMax');
+const numberLineCaptionElement = document.getElementById('numberLineCaption');
+const hintToggleLabel = document.getElementById('hintToggleLabel');
+const modeButtons = document.querySelectorAll('.mode-button');
+const difficultyPickerElement = document.getElementById('difficultyPicker');
+const dailyPanelElement = document.getElementById('dailyPanel');
+const dailyInfoElement = document.getElementById('dailyInfo');
+const dailyStreakElement = document.getElementById('dailyStreak');
+const dailyResultElement = document.getElementById('dailyResult');
+const dailyGridElement = document.getElementById('dailyGrid');
+const shareDailyButton = document.getElementById('shareDailyButton');
+const matchPanelElement = document.getElementById('matchPanel');
+const matchSetupElement = document.getElementById('matchSetup');
+const matchRoundsSelect = document.getElementById('matchRoundsSelect');
+const guessTimerSelect = document.getElementById('guessTimerSelect');
+const startMatchButton = document.getElementById('startMatchButton');
+const matchStatusElement = document.getElementById('matchStatus');
+const matchRoundTextElement = document.getElementById('matchRoundText');
+const matchTimerTextElement = document.getElementById('matchTimerText');
+const matchPointsTextElement = document.getElementById('matchPointsText');
+const nextRoundButton = document.getElementById('nextRoundButton');
+const matchSummaryElement = document.getElementById('matchSummary');
+const matchSummaryBodyElement = document.getElementById('matchSummaryBody');
+const matchTotalTextElement = document.getElementById('matchTotalText');
+const historyScoreAreaElement = document.querySelector('.history-score-area');
+const duelAreaElement = document.getElementById('duelArea');
+const duelSetupElement = document.getElementById('duelSetup');
+const duelNameInputs = [document.getElementById('duelName1'), document.getElementById('duelName2')];
+const duelVariantSelect = document.getElementById('duelVariantSelect');
+const startDuelButton = document.getElementById('startDuelButton');
+const duelSecretEntryElement = document.getElementById('duelSecretEntry');
+const duelSecretPromptElement = document.getElementById('duelSecretPrompt');
+const duelSecretInput = document.getElementById('duelSecretInput');
+const duelSecretButton = document.getElementById('duelSecretButton');
+const duelBoardElement = document.getElementById('duelBoard');
+const duelPlayerElements = document.querySelectorAll('.duel-player');
+const newDuelButton = document.getElementById('newDuelButton');
+const playerModeSections = document.querySelectorAll('.player-mode');
+const reverseAreaElement = document.getElementById('reverseArea');
+const reverseRangeTextElement = document.getElementById('reverseRangeText');
+const strategySelect = document.getElementById('strategySelect');
+const computerGuessElement = document.getElementById('computerGuess');
+const reverseFeedbackElement = document.getElementById('reverseFeedback');
+const answerButtons = {
+    higher: document.getElementById('answerHigherButton'),
+    lower: document.getElementById('answerLowerButton'),
+    correct: document.getElementById('answerCorrectButton')
+};
+const reverseRestartButton = document.getElementById('reverseRestartButton');
+const reverseHistoryElement = document.getElementById('reverseHistory');
 
 // --- Game Initialization ---
 /**
  * Initializes or resets the game state.
  */
 function initializeGame() {
-    // Generate a new random secret number between 1 and 100
-    secretNumber = Math.floor(Math.random() * 100) + 1;
+    // Pick a new random secret for the current puzzle type
+    secretNumber = getPuzzle().createSecret(range);
     attempts = 0;
     guessHistory = [];
-    score = 0; // Reset score for a new game
+    clearSavedRound(); // Re-seeding abandons any round in progress
 
     // Update UI elements to their initial state
-    scoreDisplayElement.textContent = score;
-    historyListElement.innerHTML = ''; // Clear previous guess history
+    showRange(); // Some puzzles show a clue about the new secret
+    renderStats(); // The best-attempts row follows the difficulty
+    renderHistory(); // Clear previous guess history and number line
     guessInput.value = ''; // Clear input field
     feedbackElement.textContent = ''; // Clear feedback message
     feedbackElement.classList.remove('correct', 'incorrect'); // Remove styling classes
@@ -37,7 +161,325 @@ function initializeGame() {
     guessInput.focus(); // Set focus to the input field for immediate typing
 }
 
+// --- Difficulty Management ---
+/**
+ * Fills the difficulty dropdown from DIFFICULTIES, plus a custom option.
+ */
+function populateDifficultyOptions() {
+    Object.entries(DIFFICULTIES).forEach(([key, preset]) => {
+        const text = `${preset.label} (${preset.min}–${preset.max}, ${preset.maxAttempts} tries)`;
+        difficultySelect.add(new Option(text, key));
+    });
+    difficultySelect.add(new Option('Custom…', 'custom'));
+}
+
+/**
+ * Checks a custom range and attempt count.
+ * @param {number} min - Lowest possible secret number.
+ * @param {number} max - Highest possible secret number.
+ * @param {number} maxAttempts - Guesses allowed per round.
+ * @returns {string|null} A message describing the problem, or null if the settings are valid.
+ */
+function validateCustomRange(min, max, maxAttempts) {
+    if (!Number.isInteger(min) || !Number.isInteger(max) || !Number.isInteger(maxAttempts)) {
+        return 'Custom ranges need whole numbers. 🙏';
+    }
+    if (min < CUSTOM_LIMITS.lowest || max > CUSTOM_LIMITS.highest) {
+        return `Keep the range between ${CUSTOM_LIMITS.lowest} and ${CUSTOM_LIMITS.highest}. 🙏`;
+    }
+    if (min >= max) {
+        return 'The lowest number must be smaller than the highest. 🙏';
+    }
+    if (maxAttempts < 1 || maxAttempts > CUSTOM_LIMITS.maxAttempts) {
+        return `Allow between 1 and ${CUSTOM_LIMITS.maxAttempts} tries. 🙏`;
+    }
+    return null;
+}
+
+/**
+ * Switches to a difficulty and shows its range. Does not start a new round by itself.
+ * @param {string} name - A key of DIFFICULTIES, or 'custom'.
+ * @param {{min: number, max: number, maxAttempts: number}} [customRange] - Settings for 'custom'.
+ */
+function setDifficulty(name, customRange) {
+    difficulty = name;
+    const { min, max, maxAttempts } = name === 'custom' ? customRange : DIFFICULTIES[name];
+    selectedRange = { min, max, maxAttempts };
+    range = getPuzzle().getRange(selectedRange);
+
+    difficultySelect.value = name;
+    showPuzzleControls(); // Shows the custom range fields when they apply
+    customMinInput.value = min;
+    customMaxInput.value = max;
+    customAttemptsInput.value = maxAttempts;
+    showRange();
+}
+
+/**
+ * Shows the current puzzle and range in the subtitle, reverse mode and the guess input.
+ * @param {number|null} [secret] - The secret the subtitle may give a clue about; null for none.
+ */
+function showRange(secret = secretNumber) {
+    const puzzle = getPuzzle();
+    const { lead, highlight, tail } = puzzle.describe(range, secret);
+    puzzleLeadElement.textContent = lead;
+    rangeTextElement.textContent = highlight;
+    puzzleTailElement.textContent = tail;
+    reverseRangeTextElement.textContent = `${range.min} and ${range.max}`;
+    guessInput.inputMode = puzzle.inputMode;
+    guessInput.placeholder = puzzle.placeholder;
+}
+
+// --- Puzzle Types ---
+/**
+ * The puzzle being played. The daily challenge and reverse mode always use numbers.
+ * @returns {object} An entry of PUZZLE_TYPES.
+ */
+function getPuzzle() {
+    const numbersOnly = gameMode === 'daily' || gameMode === 'reverse';
+    return PUZZLE_TYPES[numbersOnly ? 'number' : puzzleType];
+}
+
+/**
+ * Fills the puzzle dropdown from PUZZLE_TYPES.
+ */
+function populatePuzzleOptions() {
+    Object.entries(PUZZLE_TYPES).forEach(([key, type]) => {
+        puzzleSelect.add(new Option(type.label, key));
+    });
+}
+
+/**
+ * Switches the puzzle type without starting a round, e.g. when loading settings or a saved round.
+ * @param {string} name - A key of PUZZLE_TYPES; anything else falls back to 'number'.
+ */
+function setPuzzleType(name) {
+    puzzleType = PUZZLE_TYPES[name] ? name : 'number';
+    puzzleSelect.value = puzzleType;
+    range = getPuzzle().getRange(selectedRange);
+    showPuzzleControls();
+    showRange();
+}
+
+/**
+ * Shows the difficulty, custom range and hint controls only where the puzzle uses them.
+ */
+function showPuzzleControls() {
+    const puzzle = getPuzzle();
+    const daily = gameMode === 'daily';
+    const reverse = gameMode === 'reverse';
+    puzzlePickerElement.hidden = daily || reverse;
+    difficultyPickerElement.hidden = daily || !puzzle.usesDifficulty;
+    customRangeElement.hidden = daily || !puzzle.usesDifficulty || difficulty !== 'custom';
+    hintToggleLabel.hidden = reverse || !puzzle.ordered; // Hints need higher/lower answers
+}
+
+/**
+ * Handles a new choice in the puzzle dropdown: starts a fresh round of that puzzle.
+ */
+function handlePuzzleChange() {
+    setPuzzleType(puzzleSelect.value);
+    saveSettings();
+    startNewGame();
+}
+
+/**
+ * Remembers the chosen difficulty for the active profile.
+ */
+function saveSettings() {
+    Profiles.setJSON(SETTINGS_KEY, { difficulty, range: selectedRange, hints: hintsEnabled, mode: gameMode, strategy, puzzle: puzzleType });
+}
+
+/**
+ * Restores the active profile's difficulty, hint mode, game mode, guessing strategy and puzzle type.
+ */
+function loadSettings() {
+    const saved = Profiles.getJSON(SETTINGS_KEY, {});
+    applySavedDifficulty(saved.difficulty, saved.range);
+    hintsEnabled = saved.hints === true;
+    hintToggle.checked = hintsEnabled;
+    if (ComputerGuesser.STRATEGIES[saved.strategy]) strategy = saved.strategy;
+    strategySelect.value = strategy;
+    if (['daily', 'match', 'duel', 'reverse'].includes(saved.mode)) gameMode = saved.mode;
+    setPuzzleType(saved.puzzle);
+}
+
+/**
+ * Applies a stored difficulty, ignoring anything no longer valid.
+ * @param {string} name - Stored difficulty key.
+ * @param {{min: number, max: number, maxAttempts: number}} [savedRange] - Stored custom settings.
+ */
+function applySavedDifficulty(name, savedRange) {
+    if (name === 'custom' && savedRange &&
+        !validateCustomRange(savedRange.min, savedRange.max, savedRange.maxAttempts)) {
+        setDifficulty('custom', savedRange);
+    } else {
+        setDifficulty(DIFFICULTIES[name] ? name : 'normal');
+    }
+}
+
+/**
+ * Shows a warning in the feedback area, e.g. for invalid input.
+ * @param {string} message - The warning to display.
+ */
+function showWarning(message) {
+    feedbackElement.textContent = message;
+    emojiElement.textContent = '⚠️';
+    feedbackElement.classList.remove('correct', 'incorrect'); // Clear any previous status colors
+}
+
+/**
+ * Starts a new round with the custom range typed by the player.
+ */
+function applyCustomRange() {
+    const custom = {
+        min: Number(customMinInput.value),
+        max: Number(customMaxInput.value),
+        maxAttempts: Number(customAttemptsInput.value)
+    };
+    const problem = validateCustomRange(custom.min, custom.max, custom.maxAttempts);
+    if (problem) {
+        showWarning(problem);
+        return;
+    }
+    setDifficulty('custom', custom);
+    saveSettings();
+    startNewGame();
+}
+
+/**
+ * Handles a new choice in the difficulty dropdown.
+ */
+function handleDifficultyChange() {
+    if (difficultySelect.value === 'custom') {
+        // Wait for the player to fill in and apply the custom range
+        customRangeElement.hidden = false;
+        customMinInput.focus();
+        return;
+    }
+    setDifficulty(difficultySelect.value);
+    saveSettings();
+    startNewGame();
+}
+
+/**
+ * Starts over with the current difficulty. In reverse mode the computer starts guessing again too.
+ */
+function startNewGame() {
+    initializeGame();
+    if (gameMode === 'reverse') startReverseGame();
+    if (gameMode === 'match') showMatchSetup(); // A new difficulty means a new match
+    if (gameMode === 'duel') showDuelSetup();
+}
+
+// --- Saving the Round in Progress ---
+/**
+ * Saves the current round to the active profile so it survives a reload.
+ */
+function saveRound() {
+    if (gameMode === 'daily') {
+        saveDailyRound();
+        return;
+    }
+    if (gameMode === 'match') return; // Matches are played in one sitting
+
+    Profiles.setJSON(SAVE_KEY, { secretNumber, attempts, guessHistory, difficulty, range, puzzle: puzzleType });
+}
+
+/**
+ * Forgets the saved round, once it is finished or abandoned.
+ */
+function clearSavedRound() {
+    if (gameMode === 'match') return; // Match rounds leave the free-play round saved for afterwards
+    Profiles.removeItem(SAVE_KEY);
+}
+
+/**
+ * Restores the active profile's unfinished round, if there is one.
+ * @returns {boolean} True if a round was resumed.
+ */
+function resumeSavedRound() {
+    const saved = Profiles.getJSON(SAVE_KEY);
+    if (!saved || !Number.isInteger(saved.secretNumber) || !Array.isArray(saved.guessHistory)) {
+        return false;
+    }
+
+    setPuzzleType(saved.puzzle); // Rounds saved before puzzle types existed are number rounds
+    applySavedDifficulty(saved.difficulty, saved.range);
+    secretNumber = saved.secretNumber;
+    attempts = saved.attempts || 0;
+    guessHistory = saved.guessHistory;
+
+    showRange();
+    renderStats();
+    renderHistory();
+    feedbackElement.textContent = `Welcome back! You've used ${attempts} of ${range.maxAttempts} attempts. 🌱`;
+    feedbackElement.classList.remove('correct', 'incorrect');
+    emojiElement.textContent = '🎯';
+    guessInput.disabled = false;
+    guessButton.disabled = false;
+    guessInput.focus();
+    return true;
+}
+
 // --- Score Management ---
+/**
+ * Statistics for a profile that has not finished a game yet.
+ * `streak` counts consecutive wins when positive and consecutive losses when negative.
+ * `bestAttempts` maps a difficulty key (see getBestKey) to the fewest tries needed to win.
+ * @returns {object} Fresh statistics.
+ */
+function defaultStats() {
+    return { totalScore: 0, gamesPlayed: 0, wins: 0, streak: 0, bestWinStreak: 0, bestAttempts: {} };
+}
+
+/**
+ * Loads the active profile's score and statistics.
+ */
+function loadStats() {
+    stats = { ...defaultStats(), ...Profiles.getJSON(STATS_KEY, {}) };
+    score = stats.totalScore;
+}
+
+function saveStats() {
+    stats.totalScore = score;
+    Profiles.setJSON(STATS_KEY, stats);
+}
+
+/**
+ * Key used for best results. Each custom range and attempt count keeps its own best,
+ * and puzzles other than numbers keep one best each.
+ * @returns {string} The key for the current difficulty or puzzle.
+ */
+function getBestKey() {
+    if (!getPuzzle().usesDifficulty) return puzzleType;
+    return difficulty === 'custom' ? `custom:${range.min}-${range.max}/${range.maxAttempts}` : difficulty;
+}
+
+/**
+ * Shows the score, streaks, best attempts for the current difficulty and games played.
+ */
+function renderStats() {
+    scoreDisplayElement.textContent = score;
+
+    if (stats.streak > 0) {
+        streakElement.textContent = `${stats.streak} ${stats.streak === 1 ? 'win' : 'wins'} 🔥`;
+    } else if (stats.streak < 0) {
+        streakElement.textContent = `${-stats.streak} ${stats.streak === -1 ? 'loss' : 'losses'} 🥀`;
+    } else {
+        streakElement.textContent = '–';
+    }
+    bestStreakElement.textContent = stats.bestWinStreak;
+
+    let label = difficulty === 'custom' ? `${range.min}–${range.max}` : DIFFICULTIES[difficulty].label;
+    if (!getPuzzle().usesDifficulty) label = getPuzzle().label;
+    bestAttemptsLabelElement.textContent = `Best (${label})`;
+    const best = stats.bestAttempts[getBestKey()];
+    bestAttemptsElement.textContent = best ? `${best} ${best === 1 ? 'try' : 'tries'}` : '–';
+
+    gamesPlayedElement.textContent = stats.gamesPlayed;
+}
+
 /**
  * Updates the player's score.
  * @param {number} pointsToAdd - The number of points to add to the score.
@@ -47,32 +489,963 @@ function updateScore(pointsToAdd) {
     scoreDisplayElement.textContent = score;
 }
 
+/**
+ * Records a finished round in the statistics and saves them.
+ * @param {boolean} won - Whether the secret number was guessed.
+ */
+function recordResult(won) {
+    stats.gamesPlayed++;
+    if (won) {
+        stats.wins++;
+        stats.streak = Math.max(stats.streak, 0) + 1;
+        stats.bestWinStreak = Math.max(stats.bestWinStreak, stats.streak);
+        const key = getBestKey();
+        if (!stats.bestAttempts[key] || attempts < stats.bestAttempts[key]) {
+            stats.bestAttempts[key] = attempts;
+        }
+    } else {
+        stats.streak = Math.min(stats.streak, 0) - 1;
+    }
+    saveStats();
+    renderStats();
+}
+
+/**
+ * Points for a win: more for guesses to spare, scaled by how large the range is.
+ * A Normal game (1–100, 10 tries) awards 20 points per unused attempt plus 20.
+ * @returns {number} Points earned for winning with the current attempt count.
+ */
+function calculatePoints() {
+    const shareLeft = (range.maxAttempts - attempts + 1) / range.maxAttempts;
+    const rangeFactor = Math.log2(range.max - range.min + 1) / Math.log2(100); // Hard ranges earn more
+    return Math.max(0, Math.round(shareLeft * 200 * rangeFactor));
+}
+
 // --- Guess History Management ---
+/**
+ * Builds the history entry for a guess against the secret.
+ * Ordered puzzles add { direction: 'low'|'high'|'correct', distance }; codes add { direction, exact, partial }.
+ * @param {number} attempt - Which attempt of the round this is.
+ * @param {number} guess - The guess, as parsed by the puzzle type.
+ * @param {number} [secret] - The secret being guessed; duels give each player their own.
+ * @returns {object} The entry.
+ */
+function createHistoryEntry(attempt, guess, secret = secretNumber) {
+    return { attempt, guess, ...getPuzzle().compare(guess, secret) };
+}
+
+/**
+ * Feedback for a guess that missed, with the proximity when hints are on.
+ * @param {object} entry - The guessHistory entry of the guess.
+ * @returns {{message: string, emoji: string}} Text and emoji for the feedback area.
+ */
+function getMissFeedback(entry) {
+    const puzzle = getPuzzle();
+    const feedback = puzzle.missFeedback(entry);
+    if (!hintsEnabled || !puzzle.ordered) return feedback;
+    const proximity = getProximity(entry.distance);
+    return { message: `${feedback.message} ${proximity.label}! ${proximity.emoji}`, emoji: proximity.emoji };
+}
+
+/**
+ * Describes how close a guess is to the secret number.
+ * @param {number} distance - Absolute difference between the guess and the secret number.
+ * @returns {{label: string, emoji: string}} The matching proximity level.
+ */
+function getProximity(distance) {
+    const share = distance / (range.max - range.min + 1);
+    return PROXIMITY_LEVELS.find(level => share <= level.maxShare);
+}
+
+/**
+ * Text for a history list item, with the proximity when hints are on.
+ * @param {object} entry - A guessHistory entry.
+ * @returns {string} The label to display.
+ */
+function formatHistoryEntry(entry) {
+    if (entry.direction === 'timeout') {
+        return `Attempt ${entry.attempt} of ${range.maxAttempts}: ⏰ time's up`;
+    }
+    const puzzle = getPuzzle();
+    let text = `Attempt ${entry.attempt} of ${range.maxAttempts}: ${puzzle.format(entry.guess)} ${puzzle.resultSymbol(entry)}`;
+    if (hintsEnabled && puzzle.ordered && entry.direction !== 'correct') {
+        text += ` · ${getProximity(entry.distance).label}`;
+    }
+    return text;
+}
+
 /**
  * Adds a new guess entry to the history and updates the display.
- * @param {string} entry - The text content for the history item.
+ * @param {object} entry - The guessHistory entry to add.
  */
 function addGuessToHistory(entry) {
     guessHistory.push(entry);
     const listItem = document.createElement('li');
-    listItem.textContent = entry;
+    listItem.textContent = formatHistoryEntry(entry);
     historyListElement.appendChild(listItem);
     // Scroll to the bottom of the history list to show the latest guess
     historyListElement.scrollTop = historyListElement.scrollHeight;
+    renderNumberLine();
+}
+
+/**
+ * Redraws the whole history list and the number line, e.g. after toggling hints.
+ */
+function renderHistory() {
+    const entries = guessHistory;
+    guessHistory = [];
+    historyListElement.innerHTML = '';
+    entries.forEach(addGuessToHistory);
+    renderNumberLine();
+}
+
+// --- Number Line ---
+/**
+ * Narrows the range using the round's too-low and too-high answers.
+ * @returns {{low: number, high: number}} Smallest and largest numbers still possible.
+ */
+function getPossibleRange() {
+    let low = range.min;
+    let high = range.max;
+    guessHistory.forEach(entry => {
+        if (entry.direction === 'low') low = Math.max(low, entry.guess + 1);
+        if (entry.direction === 'high') high = Math.min(high, entry.guess - 1);
+        if (entry.direction === 'correct') low = high = entry.guess;
+    });
+    return { low, high };
+}
+
+/**
+ * Position of a number on the line, as a CSS percentage.
+ * @param {number} value - A number inside the range.
+ * @returns {string} The left offset, e.g. '42%'.
+ */
+function linePosition(value) {
+    return `${((value - range.min) / (range.max - range.min)) * 100}%`;
+}
+
+/**
+ * Draws the guesses on the number line and highlights the range still possible.
+ * Only visible while hints are on for an ordered puzzle, and not in duels where each player has their own secret.
+ */
+function renderNumberLine() {
+    const puzzle = getPuzzle();
+    const visible = hintsEnabled && puzzle.ordered && gameMode !== 'duel';
+    numberLineElement.hidden = !visible;
+    if (!visible) return;
+
+    const { low, high } = getPossibleRange();
+    lineMinElement.textContent = puzzle.format(range.min);
+    lineMaxElement.textContent = puzzle.format(range.max);
+    possibleRangeElement.style.left = linePosition(low);
+    possibleRangeElement.style.width = `calc(${linePosition(high)} - ${linePosition(low)})`;
+    numberLineCaptionElement.textContent = low === high
+        ? `It's ${puzzle.format(low)}!`
+        : `Somewhere from ${puzzle.format(low)} to ${puzzle.format(high)}`;
+
+    guessMarkersElement.innerHTML = '';
+    guessHistory.filter(entry => entry.guess !== null).forEach(entry => {
+        const marker = document.createElement('span');
+        marker.className = `guess-marker ${entry.direction}`;
+        marker.style.left = linePosition(entry.guess);
+        marker.title = `Attempt ${entry.attempt}: ${puzzle.format(entry.guess)}`;
+        guessMarkersElement.appendChild(marker);
+    });
+}
+
+/**
+ * Turns hot/cold hints and the number line on or off.
+ */
+function toggleHints() {
+    hintsEnabled = hintToggle.checked;
+    saveSettings();
+    renderHistory();
+}
+
+// --- Daily Challenge ---
+/**
+ * Today's date in the player's time zone.
+ * @param {Date} [date] - The day to format.
+ * @returns {string} The date as YYYY-MM-DD.
+ */
+function getDateKey(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * The date key of the day before a given one.
+ * @param {string} dateKey - A YYYY-MM-DD date.
+ * @returns {string} The previous day as YYYY-MM-DD.
+ */
+function getPreviousDateKey(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return getDateKey(new Date(year, month - 1, day - 1));
+}
+
+/**
+ * Hashes text to a 32-bit seed (FNV-1a).
+ * @param {string} text - The text to hash.
+ * @returns {number} An unsigned 32-bit integer.
+ */
+function hashString(text) {
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Creates a seeded pseudo-random generator (mulberry32), so every player draws the same numbers.
+ * @param {number} seed - A 32-bit seed.
+ * @returns {function(): number} Returns numbers in [0, 1), like Math.random.
+ */
+function createSeededRandom(seed) {
+    let state = seed;
+    return function () {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * The daily puzzle for a date: one of the difficulty presets and a secret number inside it.
+ * @param {string} dateKey - A YYYY-MM-DD date.
+ * @returns {{date: string, label: string, min: number, max: number, maxAttempts: number, secretNumber: number}} The puzzle.
+ */
+function getDailyPuzzle(dateKey) {
+    const random = createSeededRandom(hashString(`guess-number:${dateKey}`));
+    const presets = Object.values(DIFFICULTIES);
+    const preset = presets[Math.floor(random() * presets.length)];
+    const secret = preset.min + Math.floor(random() * (preset.max - preset.min + 1));
+    return { date: dateKey, label: preset.label, min: preset.min, max: preset.max, maxAttempts: preset.maxAttempts, secretNumber: secret };
+}
+
+/**
+ * Loads the daily streak and today's round. `lastSolved` is the date of the latest win.
+ */
+function loadDailyProgress() {
+    const saved = Profiles.getJSON(DAILY_KEY, {});
+    dailyProgress = { streak: 0, bestStreak: 0, lastSolved: null, today: null, ...saved };
+}
+
+function saveDailyProgress() {
+    Profiles.setJSON(DAILY_KEY, dailyProgress);
+}
+
+/**
+ * Stores the guesses made in today's challenge, so a reload cannot grant a second try.
+ */
+function saveDailyRound() {
+    dailyProgress.today.guessHistory = guessHistory;
+    saveDailyProgress();
+}
+
+/**
+ * Starts, resumes or shows the result of today's challenge.
+ */
+function startDailyChallenge() {
+    const puzzle = getDailyPuzzle(getDateKey());
+    loadDailyProgress();
+    if (!dailyProgress.today || dailyProgress.today.date !== puzzle.date) {
+        dailyProgress.today = { date: puzzle.date, guessHistory: [], finished: false, won: false };
+    }
+    const today = dailyProgress.today;
+
+    range = { min: puzzle.min, max: puzzle.max, maxAttempts: puzzle.maxAttempts };
+    secretNumber = puzzle.secretNumber;
+    guessHistory = today.guessHistory.slice();
+    attempts = guessHistory.length;
+    showRange();
+    renderHistory();
+    dailyInfoElement.textContent = `Daily Challenge · ${puzzle.date} · ${puzzle.label}: ${puzzle.min}–${puzzle.max}, ${puzzle.maxAttempts} tries`;
+
+    feedbackElement.classList.remove('correct', 'incorrect');
+    guessInput.value = '';
+    if (today.finished) {
+        feedbackElement.textContent = today.won
+            ? `You solved today's challenge! The bloom was ${secretNumber}. 🌸`
+            : `Today's bloom was ${secretNumber}. Come back tomorrow! 🥀`;
+        emojiElement.textContent = today.won ? '🌸' : '🍂';
+    } else {
+        feedbackElement.textContent = attempts > 0
+            ? `Welcome back! You've used ${attempts} of ${range.maxAttempts} attempts. 🌱`
+            : 'Same number for everyone today. One try — make it count! 🌞';
+        emojiElement.textContent = '🎯';
+    }
+    guessInput.disabled = today.finished;
+    guessButton.disabled = today.finished;
+    renderDailyPanel();
+}
+
+/**
+ * Ends today's challenge and updates the daily streak.
+ * @param {boolean} won - Whether the secret number was guessed.
+ */
+function finishDailyChallenge(won) {
+    const today = dailyProgress.today;
+    today.guessHistory = guessHistory;
+    today.finished = true;
+    today.won = won;
+    if (won) {
+        const continues = dailyProgress.lastSolved === getPreviousDateKey(today.date);
+        dailyProgress.streak = continues ? dailyProgress.streak + 1 : 1;
+        dailyProgress.bestStreak = Math.max(dailyProgress.bestStreak, dailyProgress.streak);
+        dailyProgress.lastSolved = today.date;
+    } else {
+        dailyProgress.streak = 0;
+    }
+    saveDailyProgress();
+    renderDailyPanel();
+}
+
+/**
+ * The streak still counts if the last win was today or yesterday.
+ * @returns {number} The current daily streak.
+ */
+function getCurrentDailyStreak() {
+    const todayKey = dailyProgress.today.date;
+    const alive = dailyProgress.lastSolved === todayKey || dailyProgress.lastSolved === getPreviousDateKey(todayKey);
+    return alive ? dailyProgress.streak : 0;
+}
+
+/**
+ * Spoiler-free result: one arrow per guess, with no numbers.
+ * @returns {string} Shareable text for today's finished challenge.
+ */
+function buildDailyShareText() {
+    const symbols = { low: '⬆️', high: '⬇️', correct: '🌸' };
+    const grid = guessHistory.map(entry => symbols[entry.direction]).join('');
+    const score = dailyProgress.today.won ? guessHistory.length : 'X';
+    return `Guess the Number · Daily ${dailyProgress.today.date}\n${grid} ${score}/${range.maxAttempts}`;
+}
+
+/**
+ * Shows the daily streak and, once today's challenge is over, the result grid.
+ */
+function renderDailyPanel() {
+    const streak = getCurrentDailyStreak();
+    dailyStreakElement.textContent = `Daily streak: ${streak} 🔥 · Best: ${dailyProgress.bestStreak}`;
+    dailyResultElement.hidden = !dailyProgress.today.finished;
+    if (dailyProgress.today.finished) {
+        dailyGridElement.textContent = buildDailyShareText();
+    }
+}
+
+/**
+ * Copies today's result grid, falling back to a hidden textarea where the Clipboard API is missing.
+ */
+function shareDailyResult() {
+    const text = buildDailyShareText();
+    const copied = () => { shareDailyButton.textContent = 'Copied! ✅'; };
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+        navigator.clipboard.writeText(text).then(copied).catch(() => copyWithTextarea(text, copied));
+    } else {
+        copyWithTextarea(text, copied);
+    }
+}
+
+/**
+ * Copies text through a temporary textarea.
+ * @param {string} text - The text to copy.
+ * @param {function} onCopied - Called when the copy worked.
+ */
+function copyWithTextarea(text, onCopied) {
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    document.body.appendChild(textarea);
+    textarea.select();
+    if (document.execCommand('copy')) onCopied();
+    document.body.removeChild(textarea);
+}
+
+// --- Match Mode ---
+/**
+ * Shows the match options and waits for "Start Match". Guessing is off until then.
+ */
+function showMatchSetup() {
+    stopGuessTimer();
+    match = null;
+    matchSetupElement.hidden = false;
+    matchStatusElement.hidden = true;
+    nextRoundButton.hidden = true;
+    guessInput.disabled = true;
+    guessButton.disabled = true;
+    feedbackElement.textContent = 'Pick how many rounds to play, then start the match! 🏁';
+    feedbackElement.classList.remove('correct', 'incorrect');
+    emojiElement.textContent = '🏁';
+}
+
+/**
+ * Starts a match with the chosen number of rounds and guess timer.
+ */
+function startMatch() {
+    match = {
+        rounds: Number(matchRoundsSelect.value),
+        guessSeconds: Number(guessTimerSelect.value), // 0 turns the countdown off
+        round: 0,
+        results: [],
+        points: 0,
+        roundStartedAt: 0
+    };
+    matchSetupElement.hidden = true;
+    matchSummaryElement.hidden = true;
+    matchStatusElement.hidden = false;
+    startMatchRound();
+}
+
+/**
+ * Seeds the next round of the match and starts its clock.
+ */
+function startMatchRound() {
+    match.round++;
+    nextRoundButton.hidden = true;
+    initializeGame();
+    feedbackElement.textContent = `Round ${match.round} — go! 🌱`;
+    match.roundStartedAt = Date.now();
+    renderMatchStatus();
+    startGuessTimer();
+}
+
+function renderMatchStatus() {
+    matchRoundTextElement.textContent = `Round ${match.round} of ${match.rounds}`;
+    matchPointsTextElement.textContent = `${match.points} points`;
+}
+
+/**
+ * Restarts the countdown for the next guess, if the match has a guess timer.
+ */
+function startGuessTimer() {
+    stopGuessTimer();
+    if (!match || !match.guessSeconds) return;
+    guessDeadline = Date.now() + match.guessSeconds * 1000;
+    updateGuessTimer();
+    guessTimerId = setInterval(updateGuessTimer, 250);
+}
+
+function stopGuessTimer() {
+    clearInterval(guessTimerId);
+    guessTimerId = null;
+    matchTimerTextElement.textContent = '';
+}
+
+/**
+ * Shows the seconds left for this guess and uses up the attempt when they run out.
+ */
+function updateGuessTimer() {
+    const secondsLeft = Math.max(0, Math.ceil((guessDeadline - Date.now()) / 1000));
+    matchTimerTextElement.textContent = `⏱️ ${secondsLeft}s`;
+    matchTimerTextElement.classList.toggle('urgent', secondsLeft <= 3);
+    if (secondsLeft === 0) handleGuessTimeout();
+}
+
+/**
+ * A guess that ran out of time costs an attempt, like a wrong guess.
+ */
+function handleGuessTimeout() {
+    stopGuessTimer();
+    attempts++;
+    addGuessToHistory({ attempt: attempts, guess: null, direction: 'timeout', distance: null });
+    if (attempts >= range.maxAttempts) {
+        showOutOfAttempts();
+        return;
+    }
+    feedbackElement.textContent = "Time's up! That attempt wilted. ⏰";
+    feedbackElement.classList.remove('correct');
+    feedbackElement.classList.add('incorrect');
+    emojiElement.textContent = '⏰';
+    startGuessTimer();
+}
+
+/**
+ * Bonus for solving a match round quickly.
+ * @param {number} seconds - How long the round took.
+ * @returns {number} Bonus points, from SPEED_BONUS.maxPoints down to 0.
+ */
+function calculateSpeedBonus(seconds) {
+    const share = 1 - seconds / SPEED_BONUS.windowSeconds;
+    return Math.max(0, Math.round(SPEED_BONUS.maxPoints * share));
+}
+
+/**
+ * Records a finished match round, then offers the next round or shows the summary.
+ * @param {boolean} won - Whether the secret number was guessed.
+ * @param {number} points - Points earned, including any speed bonus.
+ * @param {number} bonus - The speed bonus part of `points`.
+ * @param {number} seconds - How long the round took.
+ */
+function finishMatchRound(won, points, bonus, seconds) {
+    stopGuessTimer();
+    match.points += points;
+    match.results.push({ round: match.round, secretNumber, attempts, won, seconds, points });
+    if (bonus > 0) {
+        feedbackElement.textContent += ` Speed bonus: +${bonus}! ⚡`;
+    }
+    renderMatchStatus();
+
+    if (match.round < match.rounds) {
+        nextRoundButton.hidden = false;
+        nextRoundButton.focus();
+    } else {
+        showMatchSummary();
+    }
+}
+
+/**
+ * Lists every round's secret number, attempts, time and points, with the match total.
+ */
+function showMatchSummary() {
+    matchSummaryBodyElement.innerHTML = '';
+    match.results.forEach(result => {
+        const row = matchSummaryBodyElement.insertRow();
+        const attemptsText = result.won ? result.attempts : `✗ (${result.attempts})`;
+        [result.round, getPuzzle().format(result.secretNumber), attemptsText, `${result.seconds.toFixed(1)}s`, result.points]
+            .forEach(value => { row.insertCell().textContent = value; });
+    });
+    const wins = match.results.filter(result => result.won).length;
+    matchTotalTextElement.textContent = `${wins} of ${match.rounds} rounds won · ${match.points} points`;
+    matchSummaryElement.hidden = false;
+    matchStatusElement.hidden = true;
+    matchSetupElement.hidden = false; // Ready for a rematch
+    match = null;
+}
+
+// --- Duel Mode ---
+/**
+ * Shows the duel options and waits for "Start Duel". Guessing is off until then.
+ */
+function showDuelSetup() {
+    duel = null;
+    showRange(null); // No clue until the duel's secret is drawn
+    duelSetupElement.hidden = false;
+    duelSecretEntryElement.hidden = true;
+    duelBoardElement.hidden = true;
+    newDuelButton.hidden = true;
+    guessInput.disabled = true;
+    guessButton.disabled = true;
+    feedbackElement.textContent = 'Two players, one device. Enter your names and pick how to play! ⚔️';
+    feedbackElement.classList.remove('correct', 'incorrect');
+    emojiElement.textContent = '⚔️';
+}
+
+/**
+ * Starts a duel: a shared secret is drawn right away, otherwise each player sets one first.
+ */
+function startDuel() {
+    const players = duelNameInputs.map((input, index) => ({
+        name: input.value.trim() || `Player ${index + 1}`,
+        secret: null,
+        attempts: 0,
+        history: [],
+        solved: false,
+        finished: false
+    }));
+    duel = { variant: duelVariantSelect.value, phase: 'secrets', players, turn: 0, secretSetter: 0 };
+    duelSetupElement.hidden = true;
+
+    if (duel.variant === 'shared') {
+        const secret = getPuzzle().createSecret(range);
+        players.forEach(player => { player.secret = secret; });
+        beginDuelPlay();
+    } else {
+        promptDuelSecret();
+    }
+}
+
+/**
+ * Asks the current setter to type a secret for the other player into the masked input.
+ */
+function promptDuelSecret() {
+    const setter = duel.players[duel.secretSetter];
+    const guesser = duel.players[1 - duel.secretSetter];
+    duelSecretPromptElement.textContent =
+        `${setter.name}, type ${getPuzzle().describeAnswer(range)} for ${guesser.name} to find. ${guesser.name}, no peeking! 🙈`;
+    duelSecretInput.inputMode = getPuzzle().inputMode;
+    duelSecretEntryElement.hidden = false;
+    duelSecretInput.value = '';
+    duelSecretInput.focus();
+    feedbackElement.textContent = '';
+    emojiElement.textContent = '🙈';
+}
+
+/**
+ * Stores the typed secret for the other player, then asks the next setter or starts play.
+ */
+function submitDuelSecret() {
+    const secret = getPuzzle().parseGuess(duelSecretInput.value, range);
+    duelSecretInput.value = '';
+    if (secret === null) {
+        showWarning(`Please enter ${getPuzzle().describeAnswer(range)}. 🙏`);
+        duelSecretInput.focus();
+        return;
+    }
+    duel.players[1 - duel.secretSetter].secret = secret;
+    if (duel.secretSetter === 0) {
+        duel.secretSetter = 1;
+        promptDuelSecret();
+    } else {
+        beginDuelPlay();
+    }
+}
+
+/**
+ * Shows the duel board and hands the first turn to Player 1.
+ */
+function beginDuelPlay() {
+    duel.phase = 'playing';
+    duel.turn = 0;
+    duelSecretEntryElement.hidden = true;
+    duelBoardElement.hidden = false;
+    showRange(duel.variant === 'shared' ? duel.players[0].secret : null);
+    guessInput.disabled = false;
+    guessButton.disabled = false;
+    guessInput.value = '';
+    guessInput.focus();
+    feedbackElement.textContent = `${duel.players[0].name}, you go first! 🌱`;
+    feedbackElement.classList.remove('correct', 'incorrect');
+    emojiElement.textContent = '🎯';
+    renderDuelBoard();
+}
+
+/**
+ * Handles a guess by the player whose turn it is.
+ */
+function checkDuelGuess() {
+    const guess = getPuzzle().parseGuess(guessInput.value, range);
+    guessInput.value = '';
+    if (guess === null) {
+        showWarning(`Please enter ${getPuzzle().describeAnswer(range)}. 🙏`);
+        return;
+    }
+
+    const player = duel.players[duel.turn];
+    player.attempts++;
+    const entry = createHistoryEntry(player.attempts, guess, player.secret);
+    player.history.push(entry);
+
+    if (entry.direction === 'correct') {
+        player.solved = true;
+        player.finished = true;
+        if (duel.variant === 'shared') {
+            // The secret is out, so the race is over for everyone
+            duel.players.forEach(other => { other.finished = true; });
+        }
+        feedbackElement.textContent = `${player.name} found ${getPuzzle().format(player.secret)} in ${plural(player.attempts, 'try', 'tries')}! 🎉`;
+        feedbackElement.classList.remove('incorrect');
+        feedbackElement.classList.add('correct');
+        emojiElement.textContent = getPuzzle().winFeedback(player.secret, player.attempts).emoji;
+    } else {
+        const { message, emoji } = getMissFeedback(entry);
+        feedbackElement.textContent = `${player.name}: ${message}`;
+        feedbackElement.classList.remove('correct');
+        feedbackElement.classList.add('incorrect');
+        emojiElement.textContent = emoji;
+        if (player.attempts >= range.maxAttempts) {
+            player.finished = true;
+            feedbackElement.textContent += ` ${player.name} is out of attempts. 🥀`;
+        }
+    }
+
+    // Anyone who has already used as many attempts as the best solver can no longer win
+    const solvedIn = duel.players.filter(other => other.solved).map(other => other.attempts);
+    if (solvedIn.length) {
+        const best = Math.min(...solvedIn);
+        duel.players.forEach(other => {
+            if (other.attempts >= best) other.finished = true;
+        });
+    }
+
+    const next = duel.players.findIndex((other, index) => index !== duel.turn && !other.finished);
+    if (next !== -1) {
+        duel.turn = next;
+        feedbackElement.textContent += ` Over to ${duel.players[next].name}!`;
+    } else if (player.finished) {
+        endDuel();
+        return;
+    }
+    // Otherwise the other player is done and this one keeps guessing
+    renderDuelBoard();
+    guessInput.focus();
+}
+
+/**
+ * Names the winner: whoever found their secret in fewer attempts.
+ */
+function endDuel() {
+    duel.phase = 'over';
+    guessInput.disabled = true;
+    guessButton.disabled = true;
+    newDuelButton.hidden = false;
+
+    const solvers = duel.players.filter(player => player.solved);
+    const fewest = Math.min(...solvers.map(player => player.attempts));
+    const winners = solvers.filter(player => player.attempts === fewest);
+    const secrets = duel.variant === 'secrets'
+        ? ` The secrets were ${duel.players.map(player => `${getPuzzle().format(player.secret)} for ${player.name}`).join(' and ')}.`
+        : '';
+
+    if (winners.length === 1) {
+        const winnerIndex = duel.players.indexOf(winners[0]);
+        duelWins[winnerIndex]++;
+        feedbackElement.textContent = `🏆 ${winners[0].name} wins with ${plural(fewest, 'attempt', 'attempts')}!${secrets}`;
+        feedbackElement.classList.remove('incorrect');
+        feedbackElement.classList.add('correct');
+        emojiElement.textContent = '🏆';
+    } else {
+        feedbackElement.textContent = solvers.length ? `It's a draw at ${plural(fewest, 'attempt', 'attempts')} each!${secrets}` : `Nobody found their bloom. It's a draw!${secrets}`;
+        feedbackElement.classList.remove('correct', 'incorrect');
+        emojiElement.textContent = '🤝';
+    }
+    renderDuelBoard();
+    newDuelButton.focus();
+}
+
+/**
+ * Shows each player's turn marker, history and duel wins.
+ */
+function renderDuelBoard() {
+    duelPlayerElements.forEach((column, index) => {
+        const player = duel.players[index];
+        const isTurn = duel.phase === 'playing' && duel.turn === index;
+        column.classList.toggle('active', isTurn);
+        column.querySelector('.duel-name').textContent = player.name;
+
+        let status = 'Waiting…';
+        if (player.solved) status = `Found it in ${player.attempts}! 🌸`;
+        else if (player.finished && player.attempts >= range.maxAttempts) status = 'Out of attempts 🥀';
+        else if (player.finished) status = 'Out of the running';
+        else if (isTurn) status = 'Your turn! 👉';
+        column.querySelector('.duel-turn').textContent = status;
+
+        const list = column.querySelector('.duel-history');
+        list.innerHTML = '';
+        player.history.forEach(entry => {
+            const listItem = document.createElement('li');
+            listItem.textContent = formatHistoryEntry(entry);
+            list.appendChild(listItem);
+        });
+        list.scrollTop = list.scrollHeight;
+        column.querySelector('.duel-score').textContent = `Duels won: ${duelWins[index]}`;
+    });
+}
+
+// --- Reverse Mode: the Computer Guesses ---
+/**
+ * Fills the strategy dropdown from ComputerGuesser.STRATEGIES.
+ */
+function populateStrategyOptions() {
+    Object.entries(ComputerGuesser.STRATEGIES).forEach(([key, label]) => {
+        strategySelect.add(new Option(label, key));
+    });
+}
+
+/**
+ * Shows the player's game, the daily challenge, a timed match, a duel or reverse mode.
+ * @param {string} mode - 'player', 'daily', 'match', 'duel' or 'reverse'.
+ */
+function setGameMode(mode) {
+    const leavingDaily = gameMode === 'daily' && mode !== 'daily';
+    const leavingMatch = gameMode === 'match' && mode !== 'match';
+    const leavingDuel = gameMode === 'duel' && mode !== 'duel';
+    gameMode = mode;
+    const reverse = mode === 'reverse';
+    const daily = mode === 'daily';
+    const inMatch = mode === 'match';
+    const inDuel = mode === 'duel';
+    range = getPuzzle().getRange(selectedRange); // Reverse mode and the daily challenge are number-only
+    showRange();
+    showPuzzleControls();
+    playerModeSections.forEach(section => { section.hidden = reverse; });
+    historyScoreAreaElement.hidden = reverse || inDuel; // Duels show a board per player instead
+    reverseAreaElement.hidden = !reverse;
+    restartButton.hidden = daily || inMatch || inDuel; // One attempt per day; matches and duels have their own flow
+    dailyPanelElement.hidden = !daily;
+    matchPanelElement.hidden = !inMatch;
+    duelAreaElement.hidden = !inDuel;
+    duelBoardElement.hidden = true; // A duel shows it again once play begins
+    modeButtons.forEach(button => {
+        button.setAttribute('aria-pressed', String(button.dataset.mode === mode));
+    });
+
+    if (leavingDaily) {
+        // Put back the chosen difficulty and the unfinished round the challenge replaced
+        setDifficulty(difficulty, selectedRange);
+        if (!resumeSavedRound()) initializeGame();
+    }
+    if (leavingMatch) {
+        // Abandon the match and let the player guess freely again
+        stopGuessTimer();
+        match = null;
+        if (!resumeSavedRound()) initializeGame();
+    }
+    if (leavingDuel) {
+        duel = null;
+        if (!resumeSavedRound()) initializeGame();
+    }
+    if (daily) startDailyChallenge();
+    if (inMatch) showMatchSetup();
+    if (inDuel) {
+        renderNumberLine(); // Hides it for the duel
+        showDuelSetup();
+    }
+    if (!daily && !inDuel && !reverse) {
+        // Redraw the round in the format of the puzzle now shown
+        renderStats();
+        renderHistory();
+    }
+    if (reverse) startReverseGame();
+}
+
+/**
+ * Handles a click on one of the mode buttons.
+ * @param {string} mode - The mode that was picked.
+ */
+function handleModeChange(mode) {
+    if (mode === gameMode) return;
+    setGameMode(mode);
+    saveSettings();
+}
+
+/**
+ * Starts a reverse round: the computer makes its first guess.
+ */
+function startReverseGame() {
+    computerGuesser = new ComputerGuesser(range.min, range.max, strategy);
+    computerGuessCount = 0;
+    reverseHistoryElement.innerHTML = '';
+    reverseFeedbackElement.textContent = 'Got your number? Tell me if I should go higher or lower.';
+    reverseFeedbackElement.classList.remove('correct', 'incorrect');
+    setAnswerButtonsEnabled(true);
+    makeComputerGuess();
+}
+
+/**
+ * Enables or disables the higher/lower/correct buttons.
+ * @param {boolean} enabled - Whether the player can answer.
+ */
+function setAnswerButtonsEnabled(enabled) {
+    Object.values(answerButtons).forEach(button => { button.disabled = !enabled; });
+}
+
+function makeComputerGuess() {
+    computerGuessCount++;
+    computerGuessElement.textContent = computerGuesser.nextGuess();
+}
+
+/**
+ * Explains which answers contradict each other.
+ * @param {{higherThan: number|null, lowerThan: number|null}} clash - From findContradiction().
+ * @returns {string} The message to show.
+ */
+function describeContradiction({ higherThan, lowerThan }) {
+    if (lowerThan === null) {
+        return `You said higher than ${higherThan}, but your number can't be more than ${range.max}!`;
+    }
+    if (higherThan === null) {
+        return `You said lower than ${lowerThan}, but your number can't be less than ${range.min}!`;
+    }
+    return `You said higher than ${higherThan} and lower than ${lowerThan}. No number fits both!`;
+}
+
+/**
+ * Handles the player's answer to the computer's guess.
+ * @param {string} answer - 'higher', 'lower' or 'correct'.
+ */
+function answerComputer(answer) {
+    const guess = computerGuesser.lastGuess;
+    const labels = { higher: 'higher ⬆️', lower: 'lower ⬇️', correct: 'correct 🌸' };
+    const listItem = document.createElement('li');
+    listItem.textContent = `Guess ${computerGuessCount}: ${guess} — ${labels[answer]}`;
+    reverseHistoryElement.appendChild(listItem);
+    reverseHistoryElement.scrollTop = reverseHistoryElement.scrollHeight;
+
+    const outcome = computerGuesser.answer(answer);
+    if (outcome === 'correct') {
+        const tries = computerGuessCount === 1 ? '1 guess' : `${computerGuessCount} guesses`;
+        reverseFeedbackElement.textContent = `Yay! I found your number in ${tries}! 🎉`;
+        reverseFeedbackElement.classList.remove('incorrect');
+        reverseFeedbackElement.classList.add('correct');
+        setAnswerButtonsEnabled(false);
+    } else if (outcome === 'contradiction') {
+        computerGuessElement.textContent = '🤨';
+        reverseFeedbackElement.textContent = `Hold on! ${describeContradiction(computerGuesser.findContradiction())} Somebody's cheating… 🕵️`;
+        reverseFeedbackElement.classList.remove('correct');
+        reverseFeedbackElement.classList.add('incorrect');
+        setAnswerButtonsEnabled(false);
+    } else {
+        reverseFeedbackElement.textContent = `Hmm, ${answer} than ${guess}… let me think.`;
+        reverseFeedbackElement.classList.remove('correct', 'incorrect');
+        makeComputerGuess();
+    }
+}
+
+/**
+ * Switches the computer's strategy and starts a new reverse round with it.
+ */
+function handleStrategyChange() {
+    strategy = strategySelect.value;
+    saveSettings();
+    startReverseGame();
 }
 
 // --- Main Game Logic: Check Guess ---
+/**
+ * Scores a finished round. Daily challenges keep their own streak instead of points.
+ * @param {boolean} won - Whether the secret number was guessed.
+ */
+function finishRound(won) {
+    if (gameMode === 'daily') {
+        finishDailyChallenge(won);
+        return;
+    }
+    let points = won ? calculatePoints() : 0;
+    let bonus = 0;
+    const seconds = match ? (Date.now() - match.roundStartedAt) / 1000 : 0;
+    if (match && won) {
+        bonus = calculateSpeedBonus(seconds);
+        points += bonus;
+    }
+    if (won) updateScore(points);
+    recordResult(won);
+    clearSavedRound();
+    if (match) finishMatchRound(won, points, bonus, seconds);
+}
+
+/**
+ * Ends the round once every attempt is used up without finding the secret.
+ */
+function showOutOfAttempts() {
+    const { message, emoji } = getPuzzle().loseFeedback(secretNumber);
+    feedbackElement.textContent = message;
+    feedbackElement.classList.remove('correct', 'incorrect'); // Remove all status colors
+    emojiElement.textContent = emoji;
+
+    finishRound(false);
+
+    // Disable input and button as game is over
+    guessInput.disabled = true;
+    guessButton.disabled = true;
+}
+
 /**
  * Handles the user's guess: validates input, provides feedback, and updates game state.
  */
 function checkGuess() {
-    const guess = parseInt(guessInput.value); // Get user input and convert to integer
+    if (gameMode === 'duel') {
+        checkDuelGuess(); // Duels track a secret and history per player
+        return;
+    }
+    const guess = getPuzzle().parseGuess(guessInput.value, range); // The puzzle type reads and validates the input
 
     // Input Validation
-    if (isNaN(guess) || guess < 1 || guess > 100) {
-        feedbackElement.textContent = 'Please enter a valid number between 1 and 100. 🙏';
-        emojiElement.textContent = '⚠️';
-        feedbackElement.classList.remove('correct', 'incorrect'); // Clear any previous status colors
+    if (guess === null) {
+        showWarning(`Please enter ${getPuzzle().describeAnswer(range)}. 🙏`);
         guessInput.value = ''; // Clear invalid input
         return; // Stop function execution
     }
@@ -80,49 +1453,40 @@ function checkGuess() {
     attempts++; // Increment attempts counter
 
     // Add current guess to history display
-    addGuessToHistory(`Attempt ${attempts}: ${guess}`);
+    const entry = createHistoryEntry(attempts, guess);
+    addGuessToHistory(entry);
 
     // Compare guess to secret number
-    if (guess === secretNumber) {
+    if (entry.direction === 'correct') {
         // Correct Guess!
-        feedbackElement.textContent = `Magnificent! You guessed the secret bloom (${secretNumber}) in ${attempts} tries! 🎉`;
+        const { message, emoji } = getPuzzle().winFeedback(secretNumber, attempts);
+        feedbackElement.textContent = message;
         feedbackElement.classList.remove('incorrect');
         feedbackElement.classList.add('correct');
-        emojiElement.textContent = '🌸'; // Blooming flower emoji
+        emojiElement.textContent = emoji;
         
-        // Award points based on fewer attempts
-        const pointsAwarded = Math.max(0, (MAX_ATTEMPTS - attempts + 1) * 20); // More points for less attempts
-        updateScore(pointsAwarded);
+        finishRound(true);
 
         // Disable input and button as game is won
         guessInput.disabled = true;
         guessButton.disabled = true;
-    } else if (guess < secretNumber) {
-        // Guess is too low
-        feedbackElement.textContent = 'Too low! Your petal needs more sun. ⬆️';
-        feedbackElement.classList.remove('correct');
-        feedbackElement.classList.add('incorrect');
-        emojiElement.textContent = '🌱'; // Sprout emoji
     } else {
-        // Guess is too high
-        feedbackElement.textContent = 'Too high! That bloom is out of reach. ⬇️';
+        const { message, emoji } = getMissFeedback(entry);
+        feedbackElement.textContent = message;
         feedbackElement.classList.remove('correct');
         feedbackElement.classList.add('incorrect');
-        emojiElement.textContent = '🌿'; // Leaf emoji
+        emojiElement.textContent = emoji;
     }
 
     guessInput.value = ''; // Clear the input field for the next guess
     guessInput.focus(); // Keep focus on the input for quick re-entry
 
     // Check for game over (out of attempts)
-    if (attempts >= MAX_ATTEMPTS && guess !== secretNumber) {
-        feedbackElement.textContent = `Oh dear! You've run out of attempts. The secret bloom was ${secretNumber}. 🥀`;
-        feedbackElement.classList.remove('correct', 'incorrect'); // Remove all status colors
-        emojiElement.textContent = '🍂'; // Fading leaf emoji
-        
-        // Disable input and button as game is over
-        guessInput.disabled = true;
-        guessButton.disabled = true;
+    if (attempts >= range.maxAttempts && entry.direction !== 'correct') {
+        showOutOfAttempts();
+    } else if (entry.direction !== 'correct') {
+        saveRound(); // Round continues; keep it in case the page is closed
+        startGuessTimer(); // Fresh countdown for the next guess in a timed match
     }
 }
 
@@ -133,6 +1497,33 @@ guessButton.addEventListener('click', checkGuess);
 // Listen for clicks on the "Re-Seed" (Restart) button
 restartButton.addEventListener('click', initializeGame);
 
+// Difficulty dropdown and the custom range's "Plant" button
+difficultySelect.addEventListener('change', handleDifficultyChange);
+puzzleSelect.addEventListener('change', handlePuzzleChange);
+applyCustomButton.addEventListener('click', applyCustomRange);
+
+// Hot/cold hints checkbox
+hintToggle.addEventListener('change', toggleHints);
+
+// Mode buttons and reverse mode controls
+modeButtons.forEach(button => {
+    button.addEventListener('click', () => handleModeChange(button.dataset.mode));
+});
+shareDailyButton.addEventListener('click', shareDailyResult);
+startMatchButton.addEventListener('click', startMatch);
+startDuelButton.addEventListener('click', startDuel);
+duelSecretButton.addEventListener('click', submitDuelSecret);
+duelSecretInput.addEventListener('keypress', event => {
+    if (event.key === 'Enter') submitDuelSecret();
+});
+newDuelButton.addEventListener('click', showDuelSetup);
+nextRoundButton.addEventListener('click', startMatchRound);
+strategySelect.addEventListener('change', handleStrategyChange);
+Object.entries(answerButtons).forEach(([answer, button]) => {
+    button.addEventListener('click', () => answerComputer(answer));
+});
+reverseRestartButton.addEventListener('click', startReverseGame);
+
 // Listen for 'Enter' key press on the input field to trigger a guess
 guessInput.addEventListener('keypress', function(event) {
     // Check if the pressed key is 'Enter' (key code 13)
@@ -142,5 +1533,13 @@ guessInput.addEventListener('keypress', function(event) {
 });
 
 // --- Initial Game Setup on Load ---
-// Call initializeGame() when the script loads to set up the first round
-initializeGame();
+// Resume the profile's unfinished round, or set up a fresh one
+populateDifficultyOptions();
+populatePuzzleOptions();
+populateStrategyOptions();
+loadSettings();
+loadStats();
+if (!resumeSavedRound()) {
+    initializeGame();
+}
+setGameMode(gameMode);
@@ -0,0 +1,139 @@
+// --- ComputerOpponent: the computer's side of a match ---
+// Every strategy except 'random' predicts the player's next move from the rounds played so
+// far and throws whatever beats it. Predictions are logged per series, so the game can
+// reveal afterwards what the computer expected and how often it read the player right.
+// Has no DOM dependencies, so strategies can be tried out headless.
+class ComputerOpponent {
+    /**
+     * @param {string} strategy - A key of ComputerOpponent.STRATEGIES.
+     * @param {number} memory - How many of the player's last moves the Markov model looks at.
+     */
+    constructor(strategy = 'random', memory = ComputerOpponent.MARKOV_MEMORY) {
+        if (!ComputerOpponent.STRATEGIES[strategy]) {
+            throw new Error(`Unknown opponent strategy "${strategy}".`);
+        }
+        this.strategy = strategy;
+        this.memory = memory;
+        this.rounds = []; // { player, computer } for every round against this opponent
+        this.log = []; // { predicted, computer, player } for every round of the current series
+        this.lastPrediction = null;
+    }
+
+    /**
+     * Picks the computer's move for the next round.
+     * @returns {string} 'rock', 'paper' or 'scissors'.
+     */
+    nextMove() {
+        this.lastPrediction = this.predictPlayerMove();
+        if (this.lastPrediction === null) return this.randomMove();
+        return ComputerOpponent.BEATEN_BY[this.lastPrediction];
+    }
+
+    /**
+     * Learns from a finished round.
+     * @param {string} playerMove - What the player threw.
+     * @param {string} computerMove - What nextMove() returned for this round.
+     */
+    recordRound(playerMove, computerMove) {
+        this.rounds.push({ player: playerMove, computer: computerMove });
+        this.log.push({ predicted: this.lastPrediction, computer: computerMove, player: playerMove });
+        this.lastPrediction = null;
+    }
+
+    // Starts a fresh prediction log; what was learned about the player is kept
+    startSeries() {
+        this.log = [];
+    }
+
+    /**
+     * @returns {{correct: number, total: number}} How many of this series' predictions came true.
+     */
+    getAccuracy() {
+        const predicted = this.log.filter(entry => entry.predicted !== null);
+        return {
+            correct: predicted.filter(entry => entry.predicted === entry.player).length,
+            total: predicted.length
+        };
+    }
+
+    /**
+     * @returns {string|null} The player's most likely next move, or null without a hunch.
+     */
+    predictPlayerMove() {
+        switch (this.strategy) {
+            case 'frequency':
+                return this.mostCommon(this.playerMoves());
+            case 'markov':
+                return this.predictFromSequences();
+            case 'psychology':
+                return this.predictFromLastOutcome();
+            default:
+                return null;
+        }
+    }
+
+    playerMoves() {
+        return this.rounds.map(round => round.player);
+    }
+
+    /**
+     * Finds earlier times the player made the same last N moves and predicts what followed
+     * most often. Falls back to shorter sequences, then to the player's favourite move.
+     * @returns {string|null} The prediction.
+     */
+    predictFromSequences() {
+        const moves = this.playerMoves();
+        for (let length = Math.min(this.memory, moves.length - 1); length >= 1; length--) {
+            const recent = moves.slice(-length).join();
+            const followers = [];
+            for (let i = length; i < moves.length; i++) {
+                if (moves.slice(i - length, i).join() === recent) followers.push(moves[i]);
+            }
+            if (followers.length) return this.mostCommon(followers);
+        }
+        return this.mostCommon(moves);
+    }
+
+    /**
+     * Win-stay/lose-shift: people tend to repeat a move that just won, and after a loss move on
+     * to the next one in rock, paper, scissors order. A tie gives nothing away.
+     * @returns {string|null} The prediction.
+     */
+    predictFromLastOutcome() {
+        const last = this.rounds[this.rounds.length - 1];
+        if (!last || last.player === last.computer) return null;
+        const playerWon = ComputerOpponent.BEATEN_BY[last.computer] === last.player;
+        return playerWon ? last.player : ComputerOpponent.BEATEN_BY[last.player];
+    }
+
+    /**
+     * @param {string[]} moves - Moves to count.
+     * @returns {string|null} The most frequent move (ties broken at random), or null if there are none.
+     */
+    mostCommon(moves) {
+        if (!moves.length) return null;
+        const counts = {};
+        moves.forEach(move => { counts[move] = (counts[move] || 0) + 1; });
+        const highest = Math.max(...Object.values(counts));
+        const leaders = Object.keys(counts).filter(move => counts[move] === highest);
+        return leaders[Math.floor(Math.random() * leaders.length)];
+    }
+
+    randomMove() {
+        const moves = Object.keys(ComputerOpponent.BEATEN_BY);
+        return moves[Math.floor(Math.random() * moves.length)];
+    }
+}
+
+// The move that beats each move
+ComputerOpponent.BEATEN_BY = { rock: 'paper', paper: 'scissors', scissors: 'rock' };
+
+ComputerOpponent.MARKOV_MEMORY = 2;
+
+// Opponents the player can choose from, easiest first, with their labels
+ComputerOpponent.STRATEGIES = {
+    random: 'Easy: Random (no memory at all)',
+    frequency: 'Medium: Frequency counter (spots your favourite move)',
+    psychology: 'Hard: Mind reader (win-stay, lose-shift)',
+    markov: `Expert: Pattern hunter (Markov model on your last ${ComputerOpponent.MARKOV_MEMORY} moves)`
+};
@@ -3,7 +3,9 @@
 const welcomeScreen = document.getElementById('welcome-screen');
 const playerNameInput = document.getElementById('player-name-input');
 const seriesLengthSelect = document.getElementById('series-length-select');
+const opponentSelect = document.getElementById('opponent-select');
 const startGameBtn = document.getElementById('start-game-btn');
+const lifetimeRecordText = document.getElementById('lifetime-record');
 
 // Game Screen
 const gameContainer = document.getElementById('game-container');
@@ -31,6 +33,9 @@ const gameOverOverlay = document.getElementById('game-over-overlay');
 const overlayMessage = document.getElementById('overlay-message');
 const replaySeriesBtn = document.getElementById('replay-series-btn');
 const mainMenuBtn = document.getElementById('main-menu-btn');
+const predictionReveal = document.getElementById('prediction-reveal');
+const predictionSummary = document.getElementById('prediction-summary');
+const predictionList = document.getElementById('prediction-list');
 
 
 // Elements for sounds and effects
@@ -62,8 +67,14 @@ let computerSeriesWins = 0;
 let seriesLength = 3;
 let roundsPlayed = 0;
 
-const choices = ['rock', 'paper', 'scissors'];
-let isSoundEnabled = true;
+// The computer's strategy, picked on the welcome screen (see computer-opponent.js).
+// It keeps learning across replays and starts from scratch with every new game.
+let opponent = new ComputerOpponent();
+
+// Saved per player profile (see ../profiles.js): name, chosen opponent and series record.
+// Sound is the site-wide preference from ../site-chrome.js.
+const SAVE_KEY = 'rps.save';
+let lifetimeRecord = { seriesWon: 0, seriesLost: 0 };
 
 // Mapping for image files (ensure these images are available)
 const choiceImageMap = {
@@ -80,10 +91,14 @@ function changeFavicon() {
     currentFaviconIndex = (currentFaviconIndex + 1) % faviconImages.length;
 }
 
-// Get computer's random choice: Picks one of 'rock', 'paper', 'scissors' randomly
+// Get computer's choice: The selected opponent picks one of 'rock', 'paper', 'scissors'
 function getComputerChoice() {
-    const randomIndex = Math.floor(Math.random() * choices.length);
-    return choices[randomIndex];
+    return opponent.nextMove();
+}
+
+// 'rock' -> 'Rock'
+function choiceLabel(choice) {
+    return choice.charAt(0).toUpperCase() + choice.slice(1);
 }
 
 // Determine the winner of a single round
@@ -104,7 +119,7 @@ function determineWinner(playerChoice, computerChoice) {
 // --- Audio Functions ---
 // Plays an audio element if sound is enabled
 function playSound(audioElement) {
-    if (isSoundEnabled) {
+    if (SiteChrome.isSoundEnabled()) {
         audioElement.currentTime = 0; // Reset audio to start for quick successive plays
         audioElement.play().catch(e => console.error("Audio playback failed:", e)); // Catch and log potential playback errors
     }
@@ -135,11 +150,80 @@ function playGameOverSound() {
     playSound(gameOverSound);
 }
 
+// --- Saving ---
+// Restore the active profile's name, opponent and series record
+function loadSave() {
+    const save = Profiles.getJSON(SAVE_KEY, {});
+    playerNameInput.value = save.playerName || Profiles.getActive().name.slice(0, playerNameInput.maxLength);
+    if (ComputerOpponent.STRATEGIES[save.opponent]) {
+        opponentSelect.value = save.opponent;
+    }
+    if (save.record) {
+        lifetimeRecord = {
+            seriesWon: save.record.seriesWon || 0,
+            seriesLost: save.record.seriesLost || 0
+        };
+    }
+}
+
+function saveProgress() {
+    Profiles.setJSON(SAVE_KEY, {
+        playerName,
+        opponent: opponentSelect.value,
+        record: lifetimeRecord
+    });
+}
+
+// Show the lifetime series record on the welcome screen
+function updateLifetimeRecord() {
+    const { seriesWon, seriesLost } = lifetimeRecord;
+    lifetimeRecordText.textContent = seriesWon + seriesLost > 0
+        ? `Series record: ${seriesWon} won, ${seriesLost} lost`
+        : '';
+}
+
+// --- Opponents ---
+// Fill the difficulty select on the welcome screen, easiest first
+function populateOpponentOptions() {
+    Object.entries(ComputerOpponent.STRATEGIES).forEach(([strategy, label]) => {
+        const option = document.createElement('option');
+        option.value = strategy;
+        option.textContent = label;
+        opponentSelect.appendChild(option);
+    });
+}
+
+// After a series, reveal what the computer expected the player to throw each round.
+// The random opponent never predicts anything, so it has nothing to reveal.
+function renderPredictionReveal() {
+    predictionList.innerHTML = '';
+    predictionReveal.hidden = opponent.strategy === 'random';
+    if (predictionReveal.hidden) return;
+
+    const { correct, total } = opponent.getAccuracy();
+    predictionSummary.textContent = total > 0
+        ? `The computer predicted your move in ${correct} of ${total} round${total === 1 ? '' : 's'}.`
+        : 'The computer never had enough to go on.';
+
+    opponent.log.forEach((entry, index) => {
+        const item = document.createElement('li');
+        const expected = entry.predicted ? `expected ${choiceLabel(entry.predicted)}` : 'no hunch yet';
+        item.textContent = `Round ${index + 1}: ${expected}, threw ${choiceLabel(entry.computer)}. You played ${choiceLabel(entry.player)}.`;
+        if (entry.predicted) {
+            item.classList.add(entry.predicted === entry.player ? 'predicted' : 'missed');
+        }
+        predictionList.appendChild(item);
+    });
+}
+
 // --- Sound Toggle Function ---
-// Toggles sound on/off and updates the button icon
+// Toggles the site-wide sound preference; updateSoundButton runs on every change
 function toggleSound() {
-    isSoundEnabled = !isSoundEnabled;
-    if (isSoundEnabled) {
+    SiteChrome.setSoundEnabled(!SiteChrome.isSoundEnabled());
+}
+
+function updateSoundButton() {
+    if (SiteChrome.isSoundEnabled()) {
         soundToggleButton.innerHTML = '&#128266;'; /* Speaker with sound emoji */
         soundToggleButton.classList.add('on');
     } else {
@@ -246,7 +330,7 @@ function showMessageBox(message) {
 // --- Core Game Round Logic after countdown completes ---
 // Handles determining winner, updating scores, and checking for series end
 function executeRoundLogic(playerChoice) {
-    const computerChoice = getComputerChoice(); // Computer makes its random choice
+    const computerChoice = getComputerChoice(); // The selected opponent makes its choice
 
     // Set hand images based on choices
     playerHandImg.src = choiceImageMap[playerChoice];
@@ -263,6 +347,7 @@ function executeRoundLogic(playerChoice) {
     playImpactSound(); // Play impact sound effect
 
     const result = determineWinner(playerChoice, computerChoice); // Determine round winner
+    opponent.recordRound(playerChoice, computerChoice); // Let the opponent learn from this round
     roundsPlayed++; // Increment rounds played in current series
 
     // Update scores and game message based on result
@@ -297,12 +382,18 @@ function executeRoundLogic(playerChoice) {
         if (playerScore >= targetWins) {
             seriesWinner = 'player';
             playerSeriesWins++; // Increment player's series wins
+            lifetimeRecord.seriesWon++;
         } else if (computerScore >= targetWins) {
             seriesWinner = 'computer';
             computerSeriesWins++; // Increment computer's series wins
+            lifetimeRecord.seriesLost++;
         }
 
         if (seriesWinner) {
+            saveProgress();
+            updateLifetimeRecord();
+            renderPredictionReveal(); // Show what the computer predicted along with the result
+
             // If a series winner is determined, show the game over overlay
             gameOverOverlay.classList.add('visible');
             replaySeriesBtn.style.display = 'block'; // Show replay series button
@@ -426,6 +517,7 @@ function resetAllScoresAndSeries() {
     tieScoreSpan.textContent = tieScore;
     playerSeriesWinsSpan.textContent = playerSeriesWins;
     computerSeriesWinsSpan.textContent = computerSeriesWins;
+    opponent.startSeries(); // Start a fresh prediction log; the opponent keeps what it learned
     resetGameArea(); // Reset the visual game area
 }
 
@@ -439,6 +531,8 @@ startGameBtn.addEventListener('click', () => {
         playerName = "Challenger"; // Default name
     }
     playerNameDisplayGame.textContent = playerName; // Display player name in game screen
+    opponent = new ComputerOpponent(opponentSelect.value); // A fresh opponent that knows nothing about the player yet
+    saveProgress(); // Remember the name and opponent for this profile
 
     seriesLength = parseInt(seriesLengthSelect.value); // Get selected series length
     currentSeriesLengthSpan.textContent = seriesLength; // Display series length
@@ -497,7 +591,11 @@ shareButton.addEventListener('click', shareGame); // Share game link
 soundToggleButton.innerHTML = '&#128266;'; // Speaker with sound emoji
 shareButton.innerHTML = '&#128279;'; // Link emoji
 
-soundToggleButton.classList.add('on'); // Set sound button to 'on' state initially
+populateOpponentOptions();
+loadSave(); // Restore the active profile's name, opponent and record
+SiteChrome.onChange(updateSoundButton);
+updateSoundButton();
+updateLifetimeRecord();
 
 // Display the default series length on the game screen based on the select element's initial value
 currentSeriesLengthSpan.textContent = seriesLengthSelect.value;
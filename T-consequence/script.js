@@ -14,7 +14,9 @@ document.addEventListener('DOMContentLoaded', () => {
     const divertedTrack = document.querySelector('.diverted-track');
 
     // Initialize game state variables
+    const SAVE_KEY = 'trolley.save'; // Progress is stored per player profile (see ../profiles.js)
     let currentProblemIndex = 0;
+    let choices = []; // Index of the choice made for each problem answered so far
     let problems = []; // This array will hold all the trolley problem scenarios
 
     // Define your trolley problems here!
@@ -555,6 +557,23 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     ];
 
+    /**
+     * Restores the active profile's progress. A finished run starts over from the first problem.
+     */
+    function loadProgress() {
+        const save = Profiles.getJSON(SAVE_KEY, {});
+        if (!Number.isInteger(save.problemIndex) || save.problemIndex >= problems.length) return;
+        currentProblemIndex = Math.max(0, save.problemIndex);
+        choices = Array.isArray(save.choices) ? save.choices.slice(0, currentProblemIndex + 1) : [];
+    }
+
+    /**
+     * Saves the current problem and the choices made so far to the active profile.
+     */
+    function saveProgress() {
+        Profiles.setJSON(SAVE_KEY, { problemIndex: currentProblemIndex, choices });
+    }
+
     /**
      * Renders the scene with the problem-specific image and resets trolley position.
      * @param {string} imageUrl - The URL of the image to display for the current scene.
@@ -633,6 +652,8 @@ document.addEventListener('DOMContentLoaded', () => {
     function handleChoice(choiceIndex) {
         const problem = problems[currentProblemIndex];
         const chosenOutcome = problem.choices[choiceIndex].outcome;
+        choices[currentProblemIndex] = choiceIndex;
+        saveProgress();
 
         // Hide choice buttons immediately
         choiceButtonsDiv.classList.add('hidden');
@@ -661,6 +682,18 @@ document.addEventListener('DOMContentLoaded', () => {
         }, 3500);
     }
 
+    /**
+     * Shows the outcome of a choice made before the page was closed, instead of asking again.
+     * @param {number} choiceIndex - The index of the saved choice.
+     */
+    function showSavedOutcome(choiceIndex) {
+        const choice = problems[currentProblemIndex].choices[choiceIndex];
+        if (!choice) return; // Not a choice this problem has; ask again
+        choiceButtonsDiv.classList.add('hidden');
+        outcomeText.textContent = choice.outcome;
+        outcomeDisplay.classList.remove('hidden');
+    }
+
     /**
      * Initiates the game, hides the start button, and loads the first problem.
      */
@@ -669,11 +702,15 @@ document.addEventListener('DOMContentLoaded', () => {
         gameContainer.classList.remove('dimmed'); // Remove the dimming overlay
         trolley.style.display = 'block'; // Ensure trolley is visible when game starts
         loadProblem(currentProblemIndex); // Load the first problem
+        if (Number.isInteger(choices[currentProblemIndex])) {
+            showSavedOutcome(choices[currentProblemIndex]); // Answered before the page was closed
+        }
     }
 
     // Event listener for the "Next Problem" button
     nextProblemButton.addEventListener('click', () => {
         currentProblemIndex++; // Increment to the next problem
+        saveProgress();
         loadProblem(currentProblemIndex); // Load the next problem
     });
 
@@ -681,6 +718,10 @@ document.addEventListener('DOMContentLoaded', () => {
     startButton.addEventListener('click', startGame);
 
     // Initial setup: Dim the game container and show only the start button
+    loadProgress();
+    if (currentProblemIndex > 0) {
+        startButton.textContent = 'Continue'; // Pick up where this profile left off
+    }
     gameContainer.classList.add('dimmed');
     // Initial scene rendering for the "start screen" with a prompt image
     sceneImage.src = "https://placehold.co/650x180/4F46E5/FFFFFF?text=Click+START+to+begin+your+dilemmas!";
@@ -0,0 +1,37 @@
+// Game registry for the portal. Each entry becomes a card on index.html, in this order.
+// `path` and `thumbnail` are relative to the portal; `tags` show on the card.
+const GAMES = [
+  {
+    title: 'Rock Paper Scissors',
+    thumbnail: 'Rock-Paper-Scissor/Rock Paper Scissors.png',
+    path: 'Rock-Paper-Scissor/rockindex.html',
+    tags: ['Classic', 'Vs computer']
+  },
+  {
+    title: 'Perfect Circle',
+    thumbnail: 'CIRCLE/Perfect circle.png',
+    path: 'CIRCLE/index.html',
+    tags: ['Drawing', 'Skill']
+  },
+  {
+    title: '🖱️ Clicker Game',
+    thumbnail: 'Clicker game/clicker.png',
+    path: 'Clicker game/clicker.html',
+    tags: ['Idle', 'Upgrades']
+  },
+  {
+    title: 'Track of Consequence',
+    thumbnail: 'T-consequence/track- concq.png',
+    path: 'T-consequence/index.html',
+    tags: ['Story', 'Choices']
+  },
+  {
+    title: 'Guess the Number',
+    thumbnail: 'Guess Number/guess nu.png',
+    path: 'Guess Number/guess-number.html',
+    tags: ['Puzzle', 'Daily', '2 players']
+  }
+];
+
+// Loaded as a classic script by index.html; script.js reads it from globalThis
+globalThis.GAMES = GAMES;
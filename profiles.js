@@ -0,0 +1,230 @@
+// Shared player profiles for the portal and every game.
+// Each profile gets its own localStorage namespace, so several players (or a classroom)
+// can share one browser without overwriting each other's saves. Games read and write
+// through Profiles.getItem / setItem / removeItem instead of localStorage directly.
+//
+// The active profile is fixed for the lifetime of a page: switching updates the registry
+// and reloads, so anything a game saves on unload still lands in the profile it was
+// played under.
+const Profiles = (() => {
+  const REGISTRY_KEY = 'wevnex.profiles';
+  const KEY_PREFIX = 'wevnex.profile.';
+  // Keys this site's games saved to before profiles existed. Only these move into the first
+  // profile: other projects may share this origin's localStorage, and device-wide settings
+  // such as dark mode (see site-chrome.js) stay outside every profile.
+  const PRE_PROFILE_KEYS = [
+    // The Clicker's versioned save and the older one-key-per-value save it replaced
+    'clicker.save',
+    'ideaCount', 'credits', 'ideasPerClick', 'creditThreshold', 'ideasSinceLastCredit',
+    'currentFormatIndex', 'advantages', 'currentPlayingSong', 'lastSeen', 'prestigeState',
+    'rps.save',
+    'circle.save',
+    'trolley.save',
+    'guess-number.save', 'guess-number.settings', 'guess-number.stats', 'guess-number.daily'
+  ];
+  const PRE_PROFILE_PREFIXES = ['clicker.save.']; // Clicker content variants save under their own keys
+  const MAX_NAME_LENGTH = 24;
+
+  const registry = loadRegistry();
+  const activeId = registry.activeId;
+
+  function loadRegistry() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(REGISTRY_KEY));
+      if (stored && Array.isArray(stored.profiles) && stored.profiles.length > 0) {
+        if (!stored.profiles.some(profile => profile.id === stored.activeId)) {
+          stored.activeId = stored.profiles[0].id;
+        }
+        return stored;
+      }
+    } catch (err) {
+      console.warn('Profile registry is unreadable; starting a new one.', err);
+    }
+    return createFirstProfile();
+  }
+
+  // The first profile adopts whatever was saved before profiles existed
+  function createFirstProfile() {
+    const first = { id: generateId(), name: 'Player 1', createdAt: Date.now() };
+    const existingKeys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      existingKeys.push(localStorage.key(i));
+    }
+    existingKeys
+      .filter(key => PRE_PROFILE_KEYS.includes(key) || PRE_PROFILE_PREFIXES.some(prefix => key.startsWith(prefix)))
+      .forEach(key => {
+        localStorage.setItem(profileKey(first.id, key), localStorage.getItem(key));
+        localStorage.removeItem(key);
+      });
+    const created = { version: 1, activeId: first.id, profiles: [first] };
+    localStorage.setItem(REGISTRY_KEY, JSON.stringify(created));
+    return created;
+  }
+
+  function generateId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+  }
+
+  function profileKey(id, key) {
+    return `${KEY_PREFIX}${id}.${key}`;
+  }
+
+  function saveRegistry() {
+    localStorage.setItem(REGISTRY_KEY, JSON.stringify(registry));
+  }
+
+  function findProfile(id) {
+    const profile = registry.profiles.find(candidate => candidate.id === id);
+    if (!profile) throw new Error(`No profile with id "${id}".`);
+    return profile;
+  }
+
+  // Trim a requested name and reject empty or duplicate ones
+  function cleanName(name, ignoreId) {
+    const cleaned = String(name || '').trim().slice(0, MAX_NAME_LENGTH);
+    if (!cleaned) throw new Error('Profile names cannot be empty.');
+    const taken = registry.profiles.some(profile =>
+      profile.id !== ignoreId && profile.name.toLowerCase() === cleaned.toLowerCase());
+    if (taken) throw new Error(`There is already a profile called "${cleaned}".`);
+    return cleaned;
+  }
+
+  function list() {
+    return registry.profiles.map(profile => ({ ...profile }));
+  }
+
+  function getActive() {
+    return { ...findProfile(activeId) };
+  }
+
+  function create(name) {
+    const profile = { id: generateId(), name: cleanName(name), createdAt: Date.now() };
+    registry.profiles.push(profile);
+    saveRegistry();
+    return { ...profile };
+  }
+
+  function rename(id, name) {
+    const profile = findProfile(id);
+    profile.name = cleanName(name, id);
+    saveRegistry();
+  }
+
+  // Make another profile active and reload so every script starts from its saves
+  function switchTo(id) {
+    findProfile(id);
+    registry.activeId = id;
+    saveRegistry();
+    location.reload();
+  }
+
+  // Delete a profile and all of its saves. The last profile cannot be deleted.
+  function remove(id) {
+    findProfile(id);
+    if (registry.profiles.length === 1) {
+      throw new Error('You need at least one profile.');
+    }
+    const prefix = profileKey(id, '');
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      keys.push(localStorage.key(i));
+    }
+    keys.filter(key => key.startsWith(prefix)).forEach(key => localStorage.removeItem(key));
+
+    registry.profiles = registry.profiles.filter(profile => profile.id !== id);
+    if (id === activeId) {
+      registry.activeId = registry.profiles[0].id;
+      saveRegistry();
+      location.reload();
+      return;
+    }
+    saveRegistry();
+  }
+
+  // --- Storage for the active profile ---
+  function key(name) {
+    return profileKey(activeId, name);
+  }
+
+  function getItem(name) {
+    return localStorage.getItem(key(name));
+  }
+
+  function setItem(name, value) {
+    localStorage.setItem(key(name), value);
+  }
+
+  function removeItem(name) {
+    localStorage.removeItem(key(name));
+  }
+
+  // JSON helpers; a corrupt entry reads as `fallback` rather than breaking the game
+  function getJSON(name, fallback = null) {
+    try {
+      const stored = getItem(name);
+      return stored === null ? fallback : JSON.parse(stored);
+    } catch (err) {
+      console.warn(`Ignoring unreadable save "${name}".`, err);
+      return fallback;
+    }
+  }
+
+  function setJSON(name, value) {
+    setItem(name, JSON.stringify(value));
+  }
+
+  // --- Compact switcher for game pages ---
+  // Any element with a `data-profile-switcher` attribute becomes a profile picker.
+  // Its value is the URL of the portal, where profiles are created and managed.
+  function mountSwitcher(container) {
+    const label = document.createElement('label');
+    label.className = 'profile-switcher-label';
+    label.textContent = 'Profile ';
+
+    const select = document.createElement('select');
+    select.className = 'profile-switcher-select';
+    registry.profiles.forEach(profile => {
+      select.add(new Option(profile.name, profile.id, false, profile.id === activeId));
+    });
+    select.addEventListener('change', () => switchTo(select.value));
+    label.appendChild(select);
+    container.appendChild(label);
+
+    const manageUrl = container.dataset.profileSwitcher;
+    if (manageUrl) {
+      const manageLink = document.createElement('a');
+      manageLink.className = 'profile-switcher-manage';
+      manageLink.href = manageUrl;
+      manageLink.textContent = 'Manage';
+      container.appendChild(manageLink);
+    }
+  }
+
+  function mountSwitchers() {
+    document.querySelectorAll('[data-profile-switcher]').forEach(mountSwitcher);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', mountSwitchers);
+  } else {
+    mountSwitchers();
+  }
+
+  return {
+    list,
+    getActive,
+    create,
+    rename,
+    switchTo,
+    remove,
+    key,
+    getItem,
+    setItem,
+    removeItem,
+    getJSON,
+    setJSON
+  };
+})();
+
+// Loaded as a classic script by every page; the games read it from globalThis
+globalThis.Profiles = Profiles;
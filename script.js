@@ -3,20 +3,95 @@ const greeting = document.getElementById('greeting');
 const newsletterModal = document.getElementById('newsletterModal');
 const emailInput = document.getElementById("modalEmailInput");
 
-// Load dark mode from localStorage
-if (localStorage.getItem('darkMode') === 'enabled') {
-  document.body.classList.add('dark-mode');
-  toggleBtn.textContent = '☀️';
+// Dark mode is shared with every game (see site-chrome.js)
+function renderDarkModeToggle() {
+  toggleBtn.textContent = SiteChrome.isDarkMode() ? '☀️' : '🌙';
 }
 
-// Dark mode toggle
-toggleBtn.addEventListener('click', () => {
-  document.body.classList.toggle('dark-mode');
-  const darkEnabled = document.body.classList.contains('dark-mode');
-  localStorage.setItem('darkMode', darkEnabled ? 'enabled' : 'disabled');
-  toggleBtn.textContent = darkEnabled ? '☀️' : '🌙';
+toggleBtn.addEventListener('click', () => SiteChrome.setDarkMode(!SiteChrome.isDarkMode()));
+SiteChrome.onChange(renderDarkModeToggle);
+renderDarkModeToggle();
+
+// Game cards, built from the registry in games.js
+function renderGameCards() {
+  const grid = document.getElementById('gameGrid');
+  GAMES.forEach(game => {
+    const card = document.createElement('a');
+    card.className = 'card';
+    card.href = game.path;
+
+    const thumbnail = document.createElement('img');
+    thumbnail.src = game.thumbnail;
+    thumbnail.alt = game.title;
+    card.appendChild(thumbnail);
+
+    const title = document.createElement('div');
+    title.className = 'card-title';
+    title.textContent = game.title;
+    card.appendChild(title);
+
+    if (game.tags && game.tags.length) {
+      const tags = document.createElement('ul');
+      tags.className = 'card-tags';
+      game.tags.forEach(tag => {
+        const item = document.createElement('li');
+        item.textContent = tag;
+        tags.appendChild(item);
+      });
+      card.appendChild(tags);
+    }
+    grid.appendChild(card);
+  });
+}
+
+renderGameCards();
+
+// Player profiles (profiles.js keeps each profile's game saves apart)
+const profileSelect = document.getElementById('profileSelect');
+
+function renderProfiles() {
+  const active = Profiles.getActive();
+  profileSelect.innerHTML = '';
+  Profiles.list().forEach(profile => {
+    profileSelect.add(new Option(profile.name, profile.id, false, profile.id === active.id));
+  });
+}
+
+// Run a profile action, showing its validation message instead of failing silently
+function tryProfileAction(action) {
+  try {
+    action();
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+profileSelect.addEventListener('change', () => Profiles.switchTo(profileSelect.value));
+
+document.getElementById('newProfileBtn').addEventListener('click', () => {
+  const name = prompt('Name for the new profile:');
+  if (name === null) return;
+  tryProfileAction(() => Profiles.switchTo(Profiles.create(name).id));
 });
 
+document.getElementById('renameProfileBtn').addEventListener('click', () => {
+  const active = Profiles.getActive();
+  const name = prompt('Rename this profile to:', active.name);
+  if (name === null) return;
+  tryProfileAction(() => {
+    Profiles.rename(active.id, name);
+    renderProfiles();
+  });
+});
+
+document.getElementById('deleteProfileBtn').addEventListener('click', () => {
+  const active = Profiles.getActive();
+  if (!confirm(`Delete "${active.name}" and all of its game saves? This cannot be undone.`)) return;
+  tryProfileAction(() => Profiles.remove(active.id));
+});
+
+renderProfiles();
+
 // Time-based greeting
 const hour = new Date().getHours();
 greeting.textContent =
@@ -0,0 +1,133 @@
+// Shared site chrome for the portal and every game: a link back to the portal, dark mode
+// and a sound preference. Both preferences are device-wide (like the portal's dark mode always
+// was), so they live outside the player profiles in profiles.js.
+//
+// Games read the preferences through SiteChrome.isDarkMode() / isSoundEnabled() and can
+// subscribe with SiteChrome.onChange() to hear about toggles, including ones made in another tab.
+const SiteChrome = (() => {
+  const DARK_MODE_KEY = 'darkMode';
+  const SOUND_KEY = 'sound';
+  const CONTROLS = ['back', 'dark', 'sound'];
+  const listeners = [];
+
+  // The portal stored 'enabled'/'disabled' and the Clicker stored 'true'/'false' under the
+  // same key; both are understood, and the old Clicker values are rewritten once.
+  function migrateDarkMode() {
+    const stored = localStorage.getItem(DARK_MODE_KEY);
+    if (stored === 'true' || stored === 'false') {
+      localStorage.setItem(DARK_MODE_KEY, stored === 'true' ? 'enabled' : 'disabled');
+    }
+  }
+
+  function isDarkMode() {
+    return localStorage.getItem(DARK_MODE_KEY) === 'enabled';
+  }
+
+  function setDarkMode(enabled) {
+    localStorage.setItem(DARK_MODE_KEY, enabled ? 'enabled' : 'disabled');
+    applyDarkMode();
+    notify();
+  }
+
+  // Sound is on unless the player turned it off
+  function isSoundEnabled() {
+    return localStorage.getItem(SOUND_KEY) !== 'disabled';
+  }
+
+  function setSoundEnabled(enabled) {
+    localStorage.setItem(SOUND_KEY, enabled ? 'enabled' : 'disabled');
+    notify();
+  }
+
+  // listener({ darkMode, sound }) runs after every change to either preference
+  function onChange(listener) {
+    listeners.push(listener);
+  }
+
+  function notify() {
+    const preferences = { darkMode: isDarkMode(), sound: isSoundEnabled() };
+    listeners.forEach(listener => listener(preferences));
+  }
+
+  function applyDarkMode() {
+    document.body.classList.toggle('dark-mode', isDarkMode());
+  }
+
+  // --- Chrome bar for game pages ---
+  // Any element with a `data-site-chrome` attribute gets the shared controls. Its value is the
+  // URL of the portal. `data-site-chrome-controls` picks a subset, e.g. "back dark" for a game
+  // without sound, or "back sound" for one that is always dark.
+  function mountChrome(container) {
+    const wanted = (container.dataset.siteChromeControls || CONTROLS.join(' ')).split(/\s+/);
+
+    if (wanted.includes('back')) {
+      const backLink = document.createElement('a');
+      backLink.className = 'site-chrome-back';
+      backLink.href = container.dataset.siteChrome || '../index.html';
+      backLink.textContent = '← All games';
+      container.appendChild(backLink);
+    }
+
+    if (wanted.includes('dark')) {
+      const darkButton = createToggle('Dark mode', () => setDarkMode(!isDarkMode()));
+      const renderDark = () => {
+        darkButton.textContent = isDarkMode() ? '☀️' : '🌙';
+        darkButton.setAttribute('aria-pressed', String(isDarkMode()));
+      };
+      renderDark();
+      onChange(renderDark);
+      container.appendChild(darkButton);
+    }
+
+    if (wanted.includes('sound')) {
+      const soundButton = createToggle('Sound', () => setSoundEnabled(!isSoundEnabled()));
+      const renderSound = () => {
+        soundButton.textContent = isSoundEnabled() ? '🔊' : '🔇';
+        soundButton.setAttribute('aria-pressed', String(isSoundEnabled()));
+      };
+      renderSound();
+      onChange(renderSound);
+      container.appendChild(soundButton);
+    }
+  }
+
+  function createToggle(label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'site-chrome-button';
+    button.setAttribute('aria-label', label);
+    button.title = label;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  function start() {
+    applyDarkMode();
+    document.querySelectorAll('[data-site-chrome]').forEach(mountChrome);
+  }
+
+  // Keep every open tab in step when a preference changes elsewhere
+  addEventListener('storage', event => {
+    if (event.key !== DARK_MODE_KEY && event.key !== SOUND_KEY) return;
+    applyDarkMode();
+    notify();
+  });
+
+  migrateDarkMode();
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', start);
+  } else {
+    start();
+  }
+
+  return {
+    isDarkMode,
+    setDarkMode,
+    isSoundEnabled,
+    setSoundEnabled,
+    onChange
+  };
+})();
+
+// Loaded as a classic script by every page; the portal and the games read it from globalThis
+globalThis.SiteChrome = SiteChrome;